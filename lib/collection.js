@@ -0,0 +1,376 @@
+'use strict';
+
+const _ = require('lodash');
+const turfHelpers = require('@turf/helpers');
+
+/**
+ * Render a large number of (non-editable) `MapboxCircle` objects through one shared GeoJSON source and a single pair
+ * of fill/stroke layers, batching source updates to at most one per animation frame.
+ *
+ * Circles in a collection keep their own `setCenter`/`setRadius` API and `click`, `contextmenu`, `centerchanged` and
+ * `radiuschanged` events. The `strokeColor`, `strokeWeight`, `strokeOpacity`, `fillColor` and `fillOpacity` keys of
+ * a circle's `properties` override the collection style for that circle.
+ * @class MapboxCircleCollection
+ * @example
+ * var myCollection = new MapboxCircle.Collection({fillColor: '#29AB87'}).addTo(myMapboxGlMap);
+ *
+ * var myCircle = new MapboxCircle({lat: 39.984, lng: -75.343}, 2500, {
+ *         properties: {fillColor: '#FB6A4A'}
+ *     });
+ * myCollection.addCircle(myCircle);
+ * myCircle.setRadius(5000);
+ * @public
+ */
+class MapboxCircleCollection {
+    /**
+     * @return {number} Globally unique collection instance ID.
+     * @private
+     */
+    get _instanceId() {
+        if (this.__instanceId === undefined) {
+            this.__instanceId = MapboxCircleCollection.__MONOSTATE.instanceIdCounter++;
+        }
+        return this.__instanceId;
+    }
+
+    /**
+     * @return {string} Unique collection source ID.
+     * @private
+     */
+    get _collectionSourceId() {
+        return 'circle-collection-source-' + this._instanceId;
+    }
+
+    /**
+     * @return {string} Unique collection line-stroke ID.
+     * @private
+     */
+    get _collectionStrokeId() {
+        return 'circle-collection-stroke-' + this._instanceId;
+    }
+
+    /**
+     * @return {string} Unique collection fill ID.
+     * @private
+     */
+    get _collectionFillId() {
+        return 'circle-collection-fill-' + this._instanceId;
+    }
+
+    /**
+     * @param {?Object} options
+     * @param {?string} [options.strokeColor='#000000'] Default stroke color
+     * @param {?number} [options.strokeWeight=0.5] Default stroke weight
+     * @param {?number} [options.strokeOpacity=0.75] Default stroke opacity
+     * @param {?string} [options.fillColor='#FB6A4A'] Default fill color
+     * @param {?number} [options.fillOpacity=0.25] Default fill opacity
+     * @public
+     */
+    constructor(options) {
+        /** @const {Object} */ this.options = _.extend({
+            strokeColor: '#000000',
+            strokeWeight: 0.5,
+            strokeOpacity: 0.75,
+            fillColor: '#FB6A4A',
+            fillOpacity: 0.25
+        }, options);
+
+        /** @const {mapboxgl.Map} */ this.map = undefined;
+        /** @const {Object<number,MapboxCircle>} */ this._circles = {};
+        /** @const {boolean} */ this._updatePending = false;
+
+        [ // Bind all event handlers.
+            '_onZoomEnd',
+            '_onFillMouseMove',
+            '_onFillMouseLeave',
+            '_onFillClick',
+            '_onFillContextMenu',
+            '_onMapStyleDataLoading'
+        ].forEach((eventHandler) => {
+            this[eventHandler] = this[eventHandler].bind(this);
+        });
+    }
+
+    /**
+     * Update map source with all circles on next animation frame, unless an update is already pending.
+     * @private
+     */
+    _scheduleUpdate() {
+        if (this._updatePending) {
+            return;
+        }
+        this._updatePending = true;
+        requestAnimationFrame(() => {
+            this._updatePending = false;
+            if (this.map && this.map.getSource(this._collectionSourceId)) {
+                this.map.getSource(this._collectionSourceId).setData(this._getCollectionGeoJSON());
+            }
+        });
+    }
+
+    /**
+     * Return GeoJSON for fill (polygon) and stroke (line strings) of all circles, using instance IDs as feature IDs.
+     * @private
+     * @return {FeatureCollection}
+     */
+    _getCollectionGeoJSON() {
+        return turfHelpers.featureCollection(_.flatMap(this._circles, (circle) => {
+            return [circle._circle, ...circle._getOutlines()].map((circleFeature) => {
+                const feature = turfHelpers.feature(circleFeature.geometry, circle.options.properties);
+                feature.id = circle._instanceId; // Not passed to turf, as it would skip the falsy first ID (0).
+                return feature;
+            });
+        }));
+    }
+
+    /**
+     * @param {MapMouseEvent} event Layer-delegated map event
+     * @return {MapboxCircle|undefined} Topmost circle under cursor
+     * @private
+     */
+    _getCircleForEvent(event) {
+        return event.features && event.features.length ? this._circles[event.features[0].id] : undefined;
+    }
+
+    /**
+     * Adjust precision of circles with `refineStroke` enabled.
+     * @private
+     */
+    _onZoomEnd() {
+        const zoom = this.map.getZoom();
+        _.forEach(this._circles, (circle) => {
+            circle.zoom = zoom;
+        });
+    }
+
+    /**
+     * Set pointer cursor when moving over a clickable circle.
+     * @param {MapMouseEvent} event
+     * @private
+     */
+    _onFillMouseMove(event) {
+        const circle = this._getCircleForEvent(event);
+        const clickable = circle && circle._eventEmitter.listeners('click').length > 0;
+        event.target.getCanvas().style.cursor = clickable ? 'pointer' : '';
+    }
+
+    /**
+     * Remove pointer cursor when leaving collection fill.
+     * @param {MapMouseEvent} event
+     * @private
+     */
+    _onFillMouseLeave(event) {
+        event.target.getCanvas().style.cursor = '';
+    }
+
+    /**
+     * Fire 'click' event on the topmost circle under cursor.
+     * @param {MapMouseEvent} event
+     * @private
+     */
+    _onFillClick(event) {
+        const circle = this._getCircleForEvent(event);
+        if (circle) {
+            circle._eventEmitter.emit('click', event);
+        }
+    }
+
+    /**
+     * Fire 'contextmenu' event on the topmost circle under cursor.
+     * @param {MapMouseEvent} event
+     * @private
+     */
+    _onFillContextMenu(event) {
+        const circle = this._getCircleForEvent(event);
+        if (circle) {
+            circle._eventEmitter.emit('contextmenu', event);
+        }
+    }
+
+    /**
+     * When map style is changed, remove collection assets from map and add them back on next 'styledata' event.
+     * @param {MapDataEvent} event
+     * @private
+     */
+    _onMapStyleDataLoading(event) {
+        if (this.map) {
+            this.map.once('styledata', () => {
+                // noinspection JSUnresolvedVariable
+                this.addTo(event.target);
+            });
+            this.remove();
+        }
+    }
+
+    /**
+     * @param {string} property Circle option name, e.g. `fillColor`
+     * @return {Array} Paint expression reading `property` from circle properties, falling back to collection options
+     * @private
+     */
+    _getDataDrivenPaintExpression(property) {
+        return ['coalesce', ['get', property], this.options[property]];
+    }
+
+    /**
+     * @return {Object} Style layer for the stroke around all circles.
+     * @private
+     */
+    _getCollectionStrokeLayer() {
+        return {
+            id: this._collectionStrokeId,
+            type: 'line',
+            source: this._collectionSourceId,
+            paint: {
+                'line-color': this._getDataDrivenPaintExpression('strokeColor'),
+                'line-width': this._getDataDrivenPaintExpression('strokeWeight'),
+                'line-opacity': this._getDataDrivenPaintExpression('strokeOpacity')
+            },
+            filter: ['==', '$type', 'LineString']
+        };
+    }
+
+    /**
+     * @return {Object} Style layer for the fill of all circles.
+     * @private
+     */
+    _getCollectionFillLayer() {
+        return {
+            id: this._collectionFillId,
+            type: 'fill',
+            source: this._collectionSourceId,
+            paint: {
+                'fill-color': this._getDataDrivenPaintExpression('fillColor'),
+                'fill-opacity': this._getDataDrivenPaintExpression('fillOpacity')
+            },
+            filter: ['==', '$type', 'Polygon']
+        };
+    }
+
+    /**
+     * Add circle to collection. The circle must not be editable or animated, nor added to a map on its own.
+     * @param {MapboxCircle} circle
+     * @return {MapboxCircleCollection}
+     * @public
+     */
+    addCircle(circle) {
+        if (circle.map || circle._collection) {
+            throw new TypeError('MapboxCircle already added to a map or collection.');
+        }
+        if (circle.options.editable) {
+            throw new TypeError('Editable MapboxCircle can not be added to a collection.');
+        }
+        if (circle._animationActive) {
+            throw new TypeError('Animated MapboxCircle can not be added to a collection.');
+        }
+        circle._collection = this;
+        this._circles[circle._instanceId] = circle;
+        if (this.map) {
+            circle.zoom = this.map.getZoom();
+        }
+        this._scheduleUpdate();
+        return this;
+    }
+
+    /**
+     * Remove circle from collection.
+     * @param {MapboxCircle} circle
+     * @return {MapboxCircleCollection}
+     * @public
+     */
+    removeCircle(circle) {
+        if (circle._collection === this) {
+            delete this._circles[circle._instanceId];
+            circle._collection = undefined;
+            this._scheduleUpdate();
+        }
+        return this;
+    }
+
+    /**
+     * @return {Array<MapboxCircle>} All circles in collection
+     * @public
+     */
+    getCircles() {
+        return _.values(this._circles);
+    }
+
+    /**
+     * @param {mapboxgl.Map} map Target map for adding and initializing collection Mapbox GL layers/data/listeners.
+     * @param {?string} [before='waterway-label'] Layer ID to insert the collection layers before; explicitly pass
+     *     `null` to get the layers appended at the end of map-layers array
+     * @return {MapboxCircleCollection}
+     * @public
+     */
+    addTo(map, before) {
+        if (typeof before === 'undefined' && map.getLayer('waterway-label')) {
+            before = 'waterway-label';
+        }
+        const addCollectionAssetsOnMap = () => {
+            map.addSource(this._collectionSourceId, {
+                type: 'geojson',
+                data: this._getCollectionGeoJSON(),
+                buffer: 1
+            });
+
+            map.addLayer(this._getCollectionStrokeLayer(), before);
+            map.addLayer(this._getCollectionFillLayer(), before);
+
+            map.on('click', this._collectionFillId, this._onFillClick);
+            map.on('contextmenu', this._collectionFillId, this._onFillContextMenu);
+            map.on('mousemove', this._collectionFillId, this._onFillMouseMove);
+            map.on('mouseleave', this._collectionFillId, this._onFillMouseLeave);
+            map.on('zoomend', this._onZoomEnd);
+            map.on('styledataloading', this._onMapStyleDataLoading);
+
+            this.map = map;
+            this._onZoomEnd();
+        };
+
+        // noinspection JSUnresolvedVariable
+        if (map._loaded) {
+            if (map.isStyleLoaded()) {
+                addCollectionAssetsOnMap();
+            } else {
+                map.once('render', addCollectionAssetsOnMap);
+            }
+        } else {
+            map.once('load', addCollectionAssetsOnMap);
+        }
+
+        return this;
+    }
+
+    /**
+     * Remove collection source data, layers and listeners from map. Circles are kept in the collection.
+     * @return {MapboxCircleCollection}
+     * @public
+     */
+    remove() {
+        this.map.off('styledataloading', this._onMapStyleDataLoading);
+        this.map.off('zoomend', this._onZoomEnd);
+        this.map.off('click', this._collectionFillId, this._onFillClick);
+        this.map.off('contextmenu', this._collectionFillId, this._onFillContextMenu);
+        this.map.off('mousemove', this._collectionFillId, this._onFillMouseMove);
+        this.map.off('mouseleave', this._collectionFillId, this._onFillMouseLeave);
+
+        if (this.map.getLayer(this._collectionFillId)) {
+            this.map.removeLayer(this._collectionFillId);
+        }
+        if (this.map.getLayer(this._collectionStrokeId)) {
+            this.map.removeLayer(this._collectionStrokeId);
+        }
+        if (this.map.getSource(this._collectionSourceId)) {
+            this.map.removeSource(this._collectionSourceId);
+        }
+
+        this.map = undefined;
+
+        return this;
+    }
+}
+
+MapboxCircleCollection.__MONOSTATE = {
+    instanceIdCounter: 0
+};
+
+module.exports = exports = MapboxCircleCollection;
@@ -4,13 +4,29 @@ const projectVersion = require('../package.json').version;
 const _ = require('lodash');
 const EventEmitter = require('events');
 const turfCircle = require('@turf/circle');
-const turfBbox = require('@turf/bbox');
-const turfBboxPoly = require('@turf/bbox-polygon');
 const turfTruncate = require('@turf/truncate');
 const turfDestination = require('@turf/destination');
 const turfDistance = require('@turf/distance');
 const turfBearing = require('@turf/bearing');
 const turfHelpers = require('@turf/helpers');
+const MapboxCircleCollection = require('./collection');
+
+/** @const {number} Latitude limit of the Web Mercator projection. */
+const MERCATOR_MAX_LATITUDE = 85.051129;
+
+/** @const {number} Distance of the ellipse rotation handle from the center, relative to the semi-major axis. */
+const ROTATION_HANDLE_DISTANCE = 1.25;
+
+/** @const {Object<string,string>} Drag/change event name prefix for each type of radius handle. */
+const RADIUS_HANDLE_EVENT_PREFIXES = {
+    radius: 'radius',
+    innerRadius: 'innerradius',
+    startBearing: 'sector',
+    endBearing: 'sector',
+    semiMajor: 'axes',
+    semiMinor: 'axes',
+    rotation: 'rotation'
+};
 
 if (window && typeof window.MapboxCircle === 'function') {
     throw new TypeError('mapbox-gl-circle-' + window.MapboxCircle.VERSION + ' already loaded');
@@ -48,6 +64,76 @@ class MapboxCircle {
         return projectVersion;
     }
 
+    /**
+     * Create circle from GeoJSON, e.g. as returned by {@link #toGeoJSON}.
+     *
+     * Center and radius are read from the `center`, `radius`, `innerRadius`, `startBearing`, `endBearing`,
+     * `semiMinor`, `rotation` and `units` (default `'meters'`) feature properties, if present. Otherwise, a best-fit
+     * circle is calculated for the polygon's outer ring (and inner ring, for an annulus).
+     * @param {Feature<Polygon>} feature GeoJSON polygon feature
+     * @param {?Object} options Circle options, see {@link #constructor}; `properties` defaults to the feature
+     *     properties, except the ones above
+     * @return {MapboxCircle}
+     * @public
+     */
+    static fromGeoJSON(feature, options) {
+        const properties = feature.properties || {};
+        const circleProperties = [
+            'center', 'radius', 'innerRadius', 'startBearing', 'endBearing', 'semiMinor', 'rotation', 'units'
+        ];
+        options = _.extend({properties: _.omit(properties, circleProperties)}, options);
+        const units = options.units || 'meters';
+
+        if (Array.isArray(properties.center) && typeof properties.radius === 'number') {
+            const convert = (distance) => turfHelpers.convertDistance(distance, properties.units || 'meters', units);
+            if (typeof properties.innerRadius === 'number') {
+                options = _.extend({innerRadius: convert(properties.innerRadius)}, options);
+            }
+            if (typeof properties.semiMinor === 'number') {
+                options = _.extend({semiMinor: convert(properties.semiMinor)}, options);
+            }
+            options = _.extend(_.pick(properties, ['startBearing', 'endBearing', 'rotation']), options);
+            return new MapboxCircle(properties.center, convert(properties.radius), options);
+        }
+
+        if (!feature.geometry || feature.geometry.type !== 'Polygon') {
+            throw new TypeError('MapboxCircle.fromGeoJSON expects a Polygon feature, or `center` and `radius` props.');
+        }
+
+        const rings = feature.geometry.coordinates.slice(0, 2).map((ring) => {
+            return ring.slice(0, -1).filter((coordinate) => {
+                return Math.abs(coordinate[1]) !== 90; // Skip closing vertex and pole vertices of polar caps.
+            });
+        });
+        const center = MapboxCircle._getSphericalCentroid(rings[0]);
+        const radii = rings.map((ring) => _.meanBy(ring, (coordinate) => turfDistance(center, coordinate, units)));
+        if (radii.length > 1) {
+            options = _.extend({innerRadius: radii[1]}, options);
+        }
+        return new MapboxCircle(center, radii[0], options);
+    }
+
+    /**
+     * Return the average of `[lng, lat]` coordinates as unit vectors, i.e. safe across the antimeridian and poles.
+     * @param {Array<[number,number]>} coordinates
+     * @return {[number,number]} Centroid `[lng, lat]` coordinates
+     * @private
+     */
+    static _getSphericalCentroid(coordinates) {
+        const sum = coordinates.reduce((xyz, coordinate) => {
+            const lng = turfHelpers.degrees2radians(coordinate[0]);
+            const lat = turfHelpers.degrees2radians(coordinate[1]);
+            xyz[0] += Math.cos(lat) * Math.cos(lng);
+            xyz[1] += Math.cos(lat) * Math.sin(lng);
+            xyz[2] += Math.sin(lat);
+            return xyz;
+        }, [0, 0, 0]);
+        return [
+            turfHelpers.radians2degrees(Math.atan2(sum[1], sum[0])),
+            turfHelpers.radians2degrees(Math.atan2(sum[2], Math.sqrt(sum[0] * sum[0] + sum[1] * sum[1])))
+        ];
+    }
+
     /**
      * @return {number} Globally unique instance ID.
      * @private
@@ -99,6 +185,14 @@ class MapboxCircle {
         return 'circle-fill-' + this._instanceId;
     }
 
+    /**
+     * @return {string} Unique circle ripple animation ID.
+     * @private
+     */
+    get _circleRippleId() {
+        return 'circle-ripple-' + this._instanceId;
+    }
+
     /**
      * @return {string} Unique ID for center handle stroke.
      * @private
@@ -147,13 +241,18 @@ class MapboxCircle {
 
     /** @param {[number,number]} newCenter Center `[lng, lat]` coordinates. */
     set center(newCenter) {
+        newCenter = this._constrainCenter(newCenter);
         if (this._centerDragActive) {
-            this._editCenterLngLat[0] = newCenter[0];
+            this._editCenterLngLat[0] = MapboxCircle._wrapLongitude(newCenter[0]);
             this._editCenterLngLat[1] = newCenter[1];
         } else {
-            this._currentCenterLngLat[0] = newCenter[0];
+            this._currentCenterLngLat[0] = MapboxCircle._wrapLongitude(newCenter[0]);
             this._currentCenterLngLat[1] = newCenter[1];
         }
+        if (this._boundMarker) {
+            this._boundMarkerLngLat = [this.center[0], this.center[1]];
+            this._boundMarker.setLngLat(this._boundMarkerLngLat);
+        }
         this._updateCircle();
         this._animate();
     }
@@ -163,12 +262,18 @@ class MapboxCircle {
         return this._centerDragActive ? this._editCenterLngLat : this._currentCenterLngLat;
     }
 
-    /** @param {number} newRadius Meter radius. */
+    /** @param {number} newRadius Radius, in `options.units`. */
     set radius(newRadius) {
+        const minRadius = Math.max(this.options.minRadius, this.innerRadius, this.semiMinor || 0);
+        const maxRadius = this._historyRestoring ? Infinity : this._getConstrainedMaxRadius(this.center);
+        const radius = Math.max(minRadius, Math.min(newRadius, this.options.maxRadius, maxRadius));
+        if (maxRadius < Math.min(newRadius, this.options.maxRadius)) {
+            this._constrained.radius = {property: 'radius', radius: radius};
+        }
         if (this._radiusDragActive) {
-            this._editRadius = Math.min(Math.max(this.options.minRadius, newRadius), this.options.maxRadius);
+            this._editRadius = radius;
         } else {
-            this._currentRadius = Math.min(Math.max(this.options.minRadius, newRadius), this.options.maxRadius);
+            this._currentRadius = radius;
         }
         this._updateCircle();
         this._animate();
@@ -179,6 +284,81 @@ class MapboxCircle {
         return this._radiusDragActive ? this._editRadius : this._currentRadius;
     }
 
+    /**
+     * @param {number} newInnerRadius Inner radius, in `options.units`; `0` for a full circle.
+     */
+    set innerRadius(newInnerRadius) {
+        const innerRadius = newInnerRadius > 0 ?
+            Math.min(Math.max(this.options.minRadius, newInnerRadius), this.radius) : 0;
+        if (this._innerRadiusDragActive) {
+            this._editInnerRadius = innerRadius;
+        } else {
+            this._currentInnerRadius = innerRadius;
+        }
+        this._updateCircle();
+        this._animate();
+    }
+
+    /** @return {number} Current inner radius, `0` unless the circle is an annulus. */
+    get innerRadius() {
+        return this._innerRadiusDragActive ? this._editInnerRadius : this._currentInnerRadius;
+    }
+
+    /**
+     * @param {?number} newSemiMinor Semi-minor axis, in `options.units`, making the circle an ellipse; `null` for a
+     *     circle
+     */
+    set semiMinor(newSemiMinor) {
+        this._currentSemiMinor = typeof newSemiMinor === 'number' ?
+            Math.min(Math.max(this.options.minRadius, newSemiMinor), this.radius) : null;
+        this._updateCircle();
+        this._animate();
+    }
+
+    /** @return {?number} Current semi-minor axis, `null` unless the circle is an ellipse. */
+    get semiMinor() {
+        return this._currentSemiMinor;
+    }
+
+    /** @param {number} newRotation Bearing of the ellipse major axis, in degrees clockwise from north. */
+    set rotation(newRotation) {
+        this._currentRotation = MapboxCircle._normalizeBearing(newRotation);
+        this._updateCircle();
+        this._animate();
+    }
+
+    /** @return {number} Current bearing of the ellipse major axis, in degrees `[0, 360)`. */
+    get rotation() {
+        return this._currentRotation;
+    }
+
+    /**
+     * @return {number} Current circle radius, in meters.
+     * @private
+     */
+    get _radiusInMeters() {
+        return this._toMeters(this.radius);
+    }
+
+    /**
+     * @return {number} Radius (inner radius, or semi-minor axis) being dragged, in `options.units`.
+     * @private
+     */
+    get _draggedRadius() {
+        if (this._radiusDragHandle === 'semiMinor') {
+            return this.semiMinor;
+        }
+        return this._innerRadiusDragActive ? this.innerRadius : this.radius;
+    }
+
+    /**
+     * @return {number} Current inner radius, in meters.
+     * @private
+     */
+    get _innerRadiusInMeters() {
+        return this._toMeters(this.innerRadius);
+    }
+
     /** @param {number} newZoom New zoom level. */
     set zoom(newZoom) {
         this._zoom = newZoom;
@@ -190,18 +370,78 @@ class MapboxCircle {
 
     /**
      * @param {{lat: number, lng: number}|[number,number]} center Circle center as an object or `[lng, lat]` coordinates
-     * @param {number} radius Meter radius
+     * @param {number} radius Radius, in `options.units`
      * @param {?Object} options
      * @param {?boolean} [options.editable=false] Enable handles for changing center and radius
-     * @param {?number} [options.minRadius=10] Minimum radius on user interaction
-     * @param {?number} [options.maxRadius=1100000] Maximum radius on user interaction
+     * @param {?boolean} [options.editCenter=true] Let an editable circle be moved, see {@link #setEditCenter}
+     * @param {?boolean} [options.editRadius=true] Let an editable circle be resized (or reshaped, by its inner
+     *     radius, sector or ellipse handles), see {@link #setEditRadius}
+     * @param {?string} [options.units='meters'] Unit of radius and radius limits; `'meters'`, `'kilometers'`,
+     *     `'feet'`, `'miles'` or `'nauticalmiles'`
+     * @param {?number} [options.minRadius=10] Minimum radius on user interaction (defaults to 10 meters, in
+     *     `options.units`)
+     * @param {?number} [options.maxRadius=1100000] Maximum radius on user interaction (defaults to 1100 kilometers,
+     *     in `options.units`)
+     * @param {?number} [options.innerRadius=0] Inner radius, in `options.units`, making the circle an annulus (ring);
+     *     clamped between `minRadius` and `radius`
+     * @param {?number} [options.startBearing=null] Start bearing (degrees clockwise from north), making the circle a
+     *     sector (wedge) from `startBearing` clockwise to `endBearing`
+     * @param {?number} [options.endBearing=null] End bearing of a sector, see `startBearing`
+     * @param {?number} [options.semiMinor=null] Semi-minor axis, in `options.units`, making the circle an ellipse with
+     *     `radius` as its semi-major axis; clamped between `minRadius` and `radius`, and can not be combined with
+     *     `innerRadius` nor a sector
+     * @param {?number} [options.rotation=0] Bearing of the ellipse major axis, in degrees clockwise from north
      * @param {?string} [options.strokeColor='#000000'] Stroke color
      * @param {?number} [options.strokeWeight=0.5] Stroke weight
      * @param {?number} [options.strokeOpacity=0.75] Stroke opacity
      * @param {?string} [options.fillColor='#FB6A4A'] Fill color
      * @param {?number} [options.fillOpacity=0.25] Fill opacity
+     * @param {?boolean} [options.selectable=false] Select editable circle on click, or add/remove it to the selection
+     *     on shift-click, and clear the selection on clicking the map next to it; moving the center of a selected
+     *     circle (by dragging, arrow keys or {@link #setCenter}) moves all selected circles, see
+     *     {@link MapboxCircle.setSelection}
+     * @param {?string} [options.selectionColor='#3887BE'] Stroke color highlighting a selected circle
      * @param {?boolean} [options.refineStroke=false] Adjust circle polygon precision based on radius and zoom
      *     (i.e. prettier circles at the expense of performance)
+     * @param {?number} [options.touchTolerance=15] Pixel distance from an edit handle that still counts as touching it
+     * @param {?number} [options.historyDepth=20] Number of center/radius changes that can be undone, `0` to disable
+     * @param {?boolean} [options.historyKeyboard=false] Undo/redo changes with Ctrl+Z/Ctrl+Y (or Cmd+Z/Cmd+Shift+Z)
+     *     when the map has focus, applied to the most recently changed circle
+     * @param {?boolean} [options.keyboard=false] Make editable circle focusable (Tab), moving it with the arrow keys
+     *     and resizing it with `+`/`-`; Escape reverts the changes made since it got focus
+     * @param {?number} [options.keyboardCenterStep] Distance to move the center per arrow key press, in
+     *     `options.units`; defaults to a tenth of the radius
+     * @param {?number} [options.keyboardRadiusStep] Radius change per `+`/`-` key press, in `options.units`; defaults
+     *     to a tenth of the radius
+     * @param {?Object} [options.snap=null] Snap center/radius while dragging edit handles
+     * @param {?(number|string)} [options.snap.radius] Snap radius to multiples of given distance, or `'auto'` for
+     *     round numbers suitable for the current zoom level
+     * @param {?Array<string>} [options.snap.layers] Snap center to rendered features on given layers, i.e. to points,
+     *     the nearest line vertex or the polygon centroid
+     * @param {?number} [options.snap.tolerance=10] Pixel distance within which the center snaps to a feature
+     * @param {?string} [options.snap.disableKey='alt'] Hold `'alt'`, `'shift'`, `'ctrl'` or `'meta'` to temporarily
+     *     turn off snapping
+     * @param {?Object} [options.label=null] Show radius (or center) label and a center-to-handle guide line while
+     *     dragging edit handles
+     * @param {?string} [options.label.units='metric'] `'m'`, `'km'`, `'mi'`, `'ft'` or `'nmi'` (or the same units
+     *     named as in `options.units`, e.g. `'kilometers'` or `'nauticalmiles'`); or `'metric'` (m/km), `'imperial'`
+     *     (ft/mi) or `'nautical'` (nmi) to pick a unit depending on distance
+     * @param {?string} [options.label.locale] Locale for number formatting, defaults to the browser locale
+     * @param {?Function} [options.label.formatter] Custom label text function, invoked with the radius in meters (the
+     *     `{lat, lng}` center, or a sector bearing) and `'radius'` (`'center'`, or `'bearing'`)
+     * @param {?string} [options.label.className='mapboxgl-circle-label'] CSS class of the label element
+     * @param {?Object} [options.animation=null] Animate the circle once added to a map, see {@link #startAnimation}
+     * @param {?Object} [options.featuresQuery=null] Fire `featureschanged` after center/radius changes, listing the
+     *     rendered features that entered or left the circle; see {@link #queryRenderedFeatures} for parameters
+     * @param {?number} [options.trackHysteresis=10] Distance outside the circle edge, in `options.units`, that a
+     *     tracked position must pass before firing `exit` (defaults to 10 meters); see {@link #track}
+     * @param {?number} [options.trackDwellTime=10000] Milliseconds a tracked position must stay inside the circle
+     *     before firing `dwell`
+     * @param {?(Feature|Polygon|MultiPolygon)} [options.constrainTo=null] Boundary to keep the circle inside; the
+     *     center must start out inside, and drags and updates that would leave it are clipped, firing `constrained`
+     *     once the change is done
+     * @param {?string} [options.constrainOverlap='within'] `'within'` to keep the whole circle (out to its radius)
+     *     inside `options.constrainTo`, or `'center'` to only keep the center inside
      * @param {?Object} [options.properties={}] Property metadata for Mapbox GL JS circle object
      * @public
      */
@@ -211,36 +451,128 @@ class MapboxCircle {
         /** @const {EventEmitter} */ this._eventEmitter = new EventEmitter();
 
         let centerLat = typeof(center.lat) === 'number' ? center.lat : center[1];
-        let centerLng = typeof(center.lng) === 'number' ? center.lng : center[0];
+        let centerLng = MapboxCircle._wrapLongitude(typeof(center.lng) === 'number' ? center.lng : center[0]);
 
         /** @const {[number,number]} */ this._lastCenterLngLat = [centerLng, centerLat];
         /** @const {[number,number]} */ this._editCenterLngLat = [centerLng, centerLat];
         /** @const {[number,number]} */ this._currentCenterLngLat = [centerLng, centerLat];
-        /** @const {number} */ this._lastRadius = Math.round(radius);
-        /** @const {number} */ this._editRadius = Math.round(radius);
-        /** @const {number} */ this._currentRadius = Math.round(radius);
+        const units = options && options.units || 'meters';
         /** @const {Object} */ this.options = _.extend({
             editable: false,
+            editCenter: true,
+            editRadius: true,
+            units: units,
             strokeColor: '#000000',
             strokeWeight: 0.5,
             strokeOpacity: 0.75,
             fillColor: '#FB6A4A',
             fillOpacity: 0.25,
+            selectable: false,
+            selectionColor: '#3887BE',
             refineStroke: false,
-            minRadius: 10,
-            maxRadius: 1.1e6,
+            touchTolerance: 15,
+            historyDepth: 20,
+            historyKeyboard: false,
+            keyboard: false,
+            keyboardCenterStep: null,
+            keyboardRadiusStep: null,
+            snap: null,
+            label: null,
+            featuresQuery: null,
+            trackHysteresis: turfHelpers.convertDistance(10, 'meters', units),
+            trackDwellTime: 10000,
+            constrainTo: null,
+            constrainOverlap: 'within',
+            animation: null,
+            innerRadius: 0,
+            startBearing: null,
+            endBearing: null,
+            semiMinor: null,
+            rotation: 0,
+            minRadius: turfHelpers.convertDistance(10, 'meters', units),
+            maxRadius: turfHelpers.convertDistance(1.1e6, 'meters', units),
             properties: {},
             debugEl: null
         }, options);
+        if (this.options.snap) {
+            this.options.snap = _.extend({tolerance: 10, disableKey: 'alt'}, this.options.snap);
+        }
+        if (this.options.label) {
+            this.options.label = _.extend({units: 'metric', className: 'mapboxgl-circle-label'}, this.options.label);
+        }
+
+        /** @const {?Array<Polygon>} */ this._constraintPolygons = null;
+        /** @const {{center: ?Object, radius: ?Object}} */ this._constrained = {center: null, radius: null};
+        if (this.options.constrainTo) {
+            this._constraintPolygons = MapboxCircle._getSimpleGeometries(this.options.constrainTo);
+            if (!_.every(this._constraintPolygons, {type: 'Polygon'})) {
+                throw new TypeError('MapboxCircle constrainTo must be a Polygon or MultiPolygon.');
+            }
+            if (['within', 'center'].indexOf(this.options.constrainOverlap) === -1) {
+                throw new TypeError('Unsupported MapboxCircle constrainOverlap: ' + this.options.constrainOverlap);
+            }
+            if (!this._isInsideConstraint([centerLng, centerLat])) {
+                throw new TypeError('MapboxCircle center must be inside constrainTo.');
+            }
+            radius = Math.min(radius, this._getConstrainedMaxRadius([centerLng, centerLat]));
+        }
+
+        /** @const {number} */ this._lastRadius = this._roundRadius(radius);
+        /** @const {number} */ this._editRadius = this._roundRadius(radius);
+        /** @const {number} */ this._currentRadius = this._roundRadius(radius);
+        /** @const {number} */ this._currentInnerRadius = this.options.innerRadius > 0 ? Math.min(
+            Math.max(this.options.minRadius, this._roundRadius(this.options.innerRadius)), this._currentRadius) : 0;
+        /** @const {number} */ this._editInnerRadius = this._currentInnerRadius;
+        /** @const {?{startBearing: number, endBearing: number}} */ this._sector = MapboxCircle._getSector(
+            this.options.startBearing, this.options.endBearing);
+        if (typeof this.options.semiMinor === 'number' && (this._currentInnerRadius > 0 || this._sector)) {
+            throw new TypeError('MapboxCircle ellipse can not be an annulus or sector.');
+        }
+        /** @const {?number} */ this._currentSemiMinor = typeof this.options.semiMinor === 'number' ? Math.min(
+            Math.max(this.options.minRadius, this._roundRadius(this.options.semiMinor)), this._currentRadius) : null;
+        /** @const {number} */ this._currentRotation = MapboxCircle._normalizeBearing(this.options.rotation);
 
         /** @const {mapboxgl.Map} */ this._map = undefined;
+        /** @const {MapboxCircleCollection} */ this._collection = undefined;
         /** @const {number} */ this._zoom = undefined;
         /** @const {Polygon} */ this._circle = undefined;
+        /** @const {LineString} */ this._circleOutline = undefined;
+        /** @const {LineString} */ this._circleInnerOutline = undefined;
         /** @const {Array<Point>} */ this._handles = undefined;
         /** @const {boolean} */ this._centerDragActive = false;
         /** @const {boolean} */ this._radiusDragActive = false;
+        /** @const {boolean} */ this._innerRadiusDragActive = false;
+        /** @const {?string} */ this._radiusDragHandle = null;
+        /** @const {[number,number]} */ this._groupMoveOrigin = undefined;
+        /** @const {Array<{circle: MapboxCircle, center: [number,number]}>} */ this._groupMoveStart = [];
+        /** @const {Object} */ this._radiusDragStart = undefined;
         /** @const {Object} */ this._debouncedHandlers = {};
         /** @const {number} */ this._updateCount = 0;
+        /** @const {Array<Object>} */ this._undoHistory = [];
+        /** @const {Array<Object>} */ this._redoHistory = [];
+        /** @const {Object} */ this._historyState = this._getHistoryState();
+        /** @const {boolean} */ this._historyRestoring = false;
+        /** @const {HTMLElement} */ this._keyboardEl = undefined;
+        /** @const {HTMLElement} */ this._liveRegionEl = undefined;
+        /** @const {Object} */ this._keyboardFocusState = undefined;
+        /** @const {HTMLElement} */ this._labelEl = undefined;
+        /** @const {number} */ this._radiusDragBearing = 0;
+        /** @const {Object<string,Feature>} */ this._queriedFeatures = undefined;
+        /** @const {Object<string,number>} */ this._transitionFrames = {};
+        /** @const {Object<string,Function>} */ this._transitionCancels = {};
+        /** @const {boolean} */ this._animationActive = false;
+        /** @const {boolean} */ this._animationRunning = false;
+        /** @const {number} */ this._animationFrame = undefined;
+        /** @const {number} */ this._animationStart = undefined;
+        /** @const {Array<Feature<LineString>>} */ this._animationRings = [];
+        /** @const {Object<string,Object>} */ this._tracked = {};
+        /** @const {number} */ this._trackedMarkersFrame = undefined;
+        /** @const {mapboxgl.Marker} */ this._boundMarker = undefined;
+        /** @const {[number,number]} */ this._boundMarkerLngLat = undefined;
+        /** @const {number} */ this._boundMarkerFrame = undefined;
+        /** @const {Position} */ this._deferredGeolocation = undefined;
+        /** @const {Function} */ this._unbindGeolocation = undefined;
+        /** @const {Object} */ this._geolocationOptions = undefined;
 
         [ // Bind all event handlers.
             '_onZoomEnd',
@@ -248,6 +580,7 @@ class MapboxCircle {
             '_onCenterHandleResumeEvents',
             '_onCenterHandleSuspendEvents',
             '_onCenterHandleMouseDown',
+            '_onCenterHandleTouchStart',
             '_onCenterHandleMouseMove',
             '_onCenterHandleMouseUpOrMapMouseOut',
             '_onCenterChanged',
@@ -256,6 +589,7 @@ class MapboxCircle {
             '_onRadiusHandlesSuspendEvents',
             '_onRadiusHandlesResumeEvents',
             '_onRadiusHandlesMouseDown',
+            '_onRadiusHandlesTouchStart',
             '_onRadiusHandlesMouseMove',
             '_onRadiusHandlesMouseUpOrMapMouseOut',
             '_onRadiusChanged',
@@ -266,13 +600,46 @@ class MapboxCircle {
             '_onCircleFillContextMenu',
             '_onCircleFillClick',
             '_onCircleFillMouseLeave',
-            '_onMapStyleDataLoading'
+            '_onMapClick',
+            '_onMapStyleDataLoading',
+            '_onHistoryChange',
+            '_onMapKeyDown',
+            '_onKeyboardFocus',
+            '_onKeyboardBlur',
+            '_onKeyboardKeyDown',
+            '_onFeaturesQueryRendered',
+            '_onFeaturesQueryChange',
+            '_onAnimationFrame',
+            '_onAnimationResume',
+            '_onTrackedChange',
+            '_pollTrackedMarkers',
+            '_onBoundMarkerMouseDown',
+            '_pollBoundMarker',
+            '_onGeolocation',
+            '_onDeferredGeolocation',
+            '_onGeolocationError'
         ].forEach((eventHandler) => {
             this[eventHandler] = this[eventHandler].bind(this);
         });
 
+        this.on('centerchanged', this._onCenterChanged).on('radiuschanged', this._onRadiusChanged);
+        this.on('axeschanged', this._onRadiusChanged);
+        this.on('centerchanged', this._onHistoryChange).on('radiuschanged', this._onHistoryChange);
+        this.on('innerradiuschanged', this._onHistoryChange).on('sectorchanged', this._onHistoryChange);
+        this.on('axeschanged', this._onHistoryChange).on('rotationchanged', this._onHistoryChange);
+        this.on('rendered', this._onFeaturesQueryRendered);
+        this.on('centerchanged', this._onFeaturesQueryChange).on('radiuschanged', this._onFeaturesQueryChange);
+        this.on('innerradiuschanged', this._onFeaturesQueryChange).on('sectorchanged', this._onFeaturesQueryChange);
+        this.on('axeschanged', this._onFeaturesQueryChange).on('rotationchanged', this._onFeaturesQueryChange);
+        this.on('centerchanged', this._onTrackedChange).on('radiuschanged', this._onTrackedChange);
+        this.on('innerradiuschanged', this._onTrackedChange).on('sectorchanged', this._onTrackedChange);
+        this.on('axeschanged', this._onTrackedChange).on('rotationchanged', this._onTrackedChange);
+
         // Initialize circle.
         this._updateCircle();
+        if (this.options.animation) {
+            this.startAnimation();
+        }
     }
 
     /**
@@ -284,6 +651,217 @@ class MapboxCircle {
         return window.navigator.userAgent.indexOf('Chrome') === -1 && window.navigator.userAgent.indexOf('Safari') > -1;
     }
 
+    /**
+     * @param {number} lng Longitude
+     * @return {number} Longitude wrapped to the `[-180, 180]` range
+     * @private
+     */
+    static _wrapLongitude(lng) {
+        return lng < -180 || lng > 180 ? ((lng + 180) % 360 + 360) % 360 - 180 : lng;
+    }
+
+    /**
+     * Shift longitudes by whole turns where needed, so that no two consecutive coordinates are more than 180° apart.
+     * @param {Array<[number,number]>} coordinates
+     * @return {Array<[number,number]>} Continuous `[lng, lat]` coordinates
+     * @private
+     */
+    static _unwrapLongitudes(coordinates) {
+        return coordinates.reduce((unwrapped, coordinate) => {
+            let lng = coordinate[0];
+            if (unwrapped.length > 0) {
+                const previousLng = unwrapped[unwrapped.length - 1][0];
+                lng += Math.round((previousLng - lng) / 360) * 360;
+            }
+            unwrapped.push([lng, coordinate[1]]);
+            return unwrapped;
+        }, []);
+    }
+
+    /**
+     * Rotate a closed ring that encircles a pole, so that it starts (and ends) next to the antimeridian.
+     * @param {Array<[number,number]>} ring
+     * @return {Array<[number,number]>} Closed ring with wrapped `[lng, lat]` coordinates
+     * @private
+     */
+    static _rotateRingToAntimeridian(ring) {
+        const coordinates = ring.slice(0, -1).map((coordinate) => {
+            return [MapboxCircle._wrapLongitude(coordinate[0]), coordinate[1]];
+        });
+        const start = Math.max(_.findIndex(coordinates, (coordinate, i) => {
+            return i > 0 && Math.abs(coordinate[0] - coordinates[i - 1][0]) > 180;
+        }), 0);
+        const rotated = coordinates.slice(start).concat(coordinates.slice(0, start));
+        return rotated.concat([rotated[0]]);
+    }
+
+    /**
+     * @param {({lat: number, lng: number}|[number,number]|Feature<Point>|Point)} lngLat
+     * @return {[number,number]} `[lng, lat]` coordinates
+     * @private
+     */
+    static _toLngLatArray(lngLat) {
+        if (typeof lngLat.lng === 'number') {
+            return [lngLat.lng, lngLat.lat];
+        }
+        const geometry = lngLat.geometry || lngLat;
+        return geometry.coordinates || lngLat;
+    }
+
+    /**
+     * Split GeoJSON into simple (`Point`, `LineString` and `Polygon`) geometries.
+     * @param {(FeatureCollection|Feature|Geometry)} geojson
+     * @return {Array<Geometry>}
+     * @private
+     */
+    static _getSimpleGeometries(geojson) {
+        switch (geojson.type) {
+            case 'FeatureCollection':
+                return _.flatMap(geojson.features, MapboxCircle._getSimpleGeometries);
+            case 'Feature':
+                return MapboxCircle._getSimpleGeometries(geojson.geometry);
+            case 'GeometryCollection':
+                return _.flatMap(geojson.geometries, MapboxCircle._getSimpleGeometries);
+            case 'MultiPoint':
+            case 'MultiLineString':
+            case 'MultiPolygon':
+                return geojson.coordinates.map((coordinates) => {
+                    return {type: geojson.type.slice(5), coordinates: coordinates};
+                });
+            case 'Point':
+            case 'LineString':
+            case 'Polygon':
+                return [geojson];
+            default:
+                throw new TypeError('Unsupported GeoJSON type: ' + geojson.type);
+        }
+    }
+
+    /**
+     * @param {[number,number]} start Segment start
+     * @param {[number,number]} end Segment end
+     * @param {number} fraction Position along the segment, from `0` (start) to `1` (end)
+     * @return {[number,number]} Coordinates of the position along the great-circle segment
+     * @private
+     */
+    static _interpolateSegment(start, end, fraction) {
+        if (fraction === 0 || fraction === 1) {
+            return fraction ? end : start;
+        }
+        const distance = turfDistance(start, end, 'radians') * fraction;
+        return turfDestination(start, distance, turfBearing(start, end), 'radians').geometry.coordinates;
+    }
+
+    /**
+     * @param {[number,number]} point
+     * @param {[number,number]} start Segment start
+     * @param {[number,number]} end Segment end
+     * @return {number} Position of the closest point along the great-circle segment, from `0` (start) to `1` (end)
+     * @private
+     */
+    static _getClosestSegmentFraction(point, start, end) {
+        const segmentDistance = turfDistance(start, end, 'radians');
+        const startDistance = turfDistance(start, point, 'radians');
+        const angle = turfHelpers.degrees2radians(turfBearing(start, point) - turfBearing(start, end));
+        if (segmentDistance === 0 || startDistance === 0 || Math.cos(angle) <= 0) {
+            return 0;
+        }
+
+        const crossTrackDistance = Math.asin(Math.sin(startDistance) * Math.sin(angle));
+        const alongTrackDistance = Math.acos(Math.cos(startDistance) / Math.cos(crossTrackDistance));
+        return Math.min(alongTrackDistance / segmentDistance, 1);
+    }
+
+    /**
+     * Return great-circle distance from a point to the closest point of a great-circle segment.
+     * @param {[number,number]} point
+     * @param {[number,number]} start Segment start
+     * @param {[number,number]} end Segment end
+     * @return {number} Meter distance
+     * @private
+     */
+    static _getDistanceToSegment(point, start, end) {
+        const fraction = MapboxCircle._getClosestSegmentFraction(point, start, end);
+        return turfDistance(point, MapboxCircle._interpolateSegment(start, end, fraction), 'meters');
+    }
+
+    /**
+     * @param {[number,number]} point
+     * @param {Array<Array<[number,number]>>} rings Polygon coordinates; outer ring followed by holes
+     * @return {boolean} `true` if point is inside polygon (using planar ray casting, like `@turf/inside`)
+     * @private
+     */
+    static _isPointInPolygon(point, rings) {
+        const isInRing = (ring) => {
+            let inside = false;
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const a = ring[i];
+                const b = ring[j];
+                if ((a[1] > point[1]) !== (b[1] > point[1]) &&
+                    point[0] < (b[0] - a[0]) * (point[1] - a[1]) / (b[1] - a[1]) + a[0]) {
+                    inside = !inside;
+                }
+            }
+            return inside;
+        };
+        return isInRing(rings[0]) && !_.some(rings.slice(1), isInRing);
+    }
+
+    /**
+     * @param {?number} startBearing
+     * @param {?number} endBearing
+     * @return {?{startBearing: number, endBearing: number}} Sector with bearings normalized to `[0, 360)`, or `null`
+     *     for a full circle
+     * @private
+     */
+    static _getSector(startBearing, endBearing) {
+        if (typeof startBearing !== 'number' || typeof endBearing !== 'number') {
+            return null;
+        }
+        return {
+            startBearing: MapboxCircle._normalizeBearing(startBearing),
+            endBearing: MapboxCircle._normalizeBearing(endBearing)
+        };
+    }
+
+    /**
+     * @param {number} bearing
+     * @return {number} Bearing normalized to `[0, 360)`
+     * @private
+     */
+    static _normalizeBearing(bearing) {
+        return (bearing % 360 + 360) % 360;
+    }
+
+    /**
+     * @param {string} handle Radius handle type, see `properties.handle` of `_handles`
+     * @return {boolean} `true` for handles dragged around the center (sector bearings and ellipse rotation)
+     * @private
+     */
+    static _isBearingHandle(handle) {
+        return handle === 'rotation' || handle.endsWith('Bearing');
+    }
+
+    /**
+     * Round radius to about a meter's precision, e.g. to whole meters or feet, or 3 decimals for kilometers.
+     * @param {number} radius Radius, in `options.units`
+     * @return {number}
+     * @private
+     */
+    _roundRadius(radius) {
+        const metersPerUnit = turfHelpers.convertDistance(1, this.options.units, 'meters');
+        return turfHelpers.round(radius, Math.max(0, Math.ceil(Math.log10(metersPerUnit) - 1e-9)));
+    }
+
+    /**
+     * @param {number} distance Distance, in `options.units`
+     * @return {number} Distance, in meters
+     * @private
+     */
+    _toMeters(distance) {
+        return turfHelpers.convertDistance(distance, this.options.units, 'meters');
+    }
+
     /**
      * Add debounced event handler to map.
      * @param {string} event Mapbox GL event name
@@ -314,6 +892,36 @@ class MapboxCircle {
         this.map.off(event, this._debouncedHandlers[handler]);
     }
 
+    /**
+     * Return canvas container pixel position for a single-finger touch event.
+     * @param {TouchEvent} event DOM touch event
+     * @return {{x: number, y: number}}
+     * @private
+     */
+    _getTouchPoint(event) {
+        const container = this.map.getCanvasContainer();
+        const rect = container.getBoundingClientRect();
+        return {
+            x: event.touches[0].clientX - rect.left - container.clientLeft,
+            y: event.touches[0].clientY - rect.top - container.clientTop
+        };
+    }
+
+    /**
+     * Returns true if touch point is within `options.touchTolerance` pixels of a rendered feature on given layer.
+     * @param {{x: number, y: number}} point
+     * @param {string} layerId
+     * @return {boolean}
+     * @private
+     */
+    _touchPointOnLayer(point, layerId) {
+        const tolerance = this.options.touchTolerance;
+        // noinspection JSCheckFunctionSignatures
+        return this.map.queryRenderedFeatures(
+            [[point.x - tolerance, point.y - tolerance], [point.x + tolerance, point.y + tolerance]],
+            {layers: [layerId]}).length > 0;
+    }
+
     /**
      * Re-calculate/update circle polygon and handles.
      * @private
@@ -321,20 +929,66 @@ class MapboxCircle {
     _updateCircle() {
         const center = this.center;
         const radius = this.radius;
+        const innerRadius = this.innerRadius;
+        const meterRadius = this._radiusInMeters;
         const zoom = !this._zoom || this._zoom <= 0.1 ? 0.1 : this._zoom;
-        const steps = this.options.refineStroke ? Math.max((Math.sqrt(Math.trunc(radius * 0.25)) * zoom ^ 2), 64) : 64;
-        const unit = 'meters';
-
-        if (!(this._centerDragActive && radius < 10000)) {
-            this._circle = turfCircle(center, radius, steps, unit, this.options.properties);
+        const steps = this.options.refineStroke ?
+            Math.max((Math.sqrt(Math.trunc(meterRadius * 0.25)) * zoom ^ 2), 64) : 64;
+        const unit = this.options.units;
+
+        if (!(this._centerDragActive && meterRadius < 10000)) {
+            const rings = [];
+            this._circleInnerOutline = undefined;
+            if (this._sector) {
+                // A sector of an annulus is bounded by both arcs, and a sector of a full circle by its center.
+                const arc = this._getArc(radius, steps);
+                const sector = this._closeRing(innerRadius > 0 ?
+                    [...arc, ...this._getArc(innerRadius, steps).reverse(), arc[0]] :
+                    [[center[0], center[1]], ...arc, [center[0], center[1]]]);
+                rings.push(sector.ring);
+                this._circleOutline = turfHelpers.lineString(sector.outline, this.options.properties);
+            } else {
+                const outer = this._closeRing(this._isEllipse() ?
+                    this._getEllipseRing(steps) : turfCircle(center, radius, steps, unit).geometry.coordinates[0]);
+                rings.push(outer.ring);
+                this._circleOutline = turfHelpers.lineString(outer.outline, this.options.properties);
+                if (innerRadius > 0) {
+                    const inner = this._closeRing(turfCircle(center, innerRadius, steps, unit).geometry.coordinates[0]);
+                    rings.push(inner.ring.reverse()); // Holes are wound opposite to the outer ring.
+                    this._circleInnerOutline = turfHelpers.lineString(inner.outline, this.options.properties);
+                }
+            }
+            this._circle = turfHelpers.polygon(rings, this.options.properties);
         }
         if (this.options.editable) {
-            this._handles = [
-                turfDestination(center, radius, 0, unit),
-                turfDestination(center, radius, 90, unit),
-                turfDestination(center, radius, 180, unit),
-                turfDestination(center, radius, -90, unit)
-            ];
+            const getHandle = (handleRadius, bearing, type) => {
+                const handle = turfDestination(center, handleRadius, bearing, unit);
+                handle.properties.handle = type;
+                return handle;
+            };
+            if (this._isEllipse()) {
+                // Axis handles sit at the ends of both axes, and the rotation handle beyond the end of the major axis.
+                const rotation = this.rotation;
+                this._handles = [
+                    getHandle(radius, rotation, 'semiMajor'),
+                    getHandle(this.semiMinor, rotation + 90, 'semiMinor'),
+                    getHandle(radius, rotation + 180, 'semiMajor'),
+                    getHandle(this.semiMinor, rotation - 90, 'semiMinor'),
+                    getHandle(radius * ROTATION_HANDLE_DISTANCE, rotation, 'rotation')
+                ];
+            } else {
+                // Radius handles of a sector sit in the middle of its arc, and sector handles at the ends.
+                const bearings = this._sector ?
+                    [this._sector.startBearing + this._getSectorSpan() / 2] : [0, 90, 180, -90];
+                this._handles = bearings.map((bearing) => getHandle(radius, bearing, 'radius'));
+                if (innerRadius > 0) {
+                    this._handles.push(...bearings.map((bearing) => getHandle(innerRadius, bearing, 'innerRadius')));
+                }
+                if (this._sector) {
+                    this._handles.push(getHandle(radius, this._sector.startBearing, 'startBearing'),
+                        getHandle(radius, this._sector.endBearing, 'endBearing'));
+                }
+            }
         }
 
         if (this.options.debugEl) {
@@ -347,727 +1001,2370 @@ class MapboxCircle {
     }
 
     /**
-     * Return GeoJSON for circle and handles.
+     * @param {[number,number]} lngLat
+     * @return {boolean} `true` if `options.constrainTo` is unset, or contains the position
      * @private
-     * @return {FeatureCollection}
      */
-    _getCircleGeoJSON() {
-        return turfHelpers.featureCollection([this._circle]);
+    _isInsideConstraint(lngLat) {
+        return !this._constraintPolygons || _.some(this._constraintPolygons, (polygon) => {
+            return MapboxCircle._isPointInPolygon(lngLat, polygon.coordinates);
+        });
     }
 
     /**
-     * Return GeoJSON for center handle and stroke.
+     * @param {[number,number]} lngLat Center position, inside `options.constrainTo`
+     * @return {number} Largest radius keeping the circle within `options.constrainTo`, in `options.units`; `Infinity`
+     *     unless constrained with `options.constrainOverlap` `'within'`
      * @private
-     * @return {FeatureCollection}
      */
-    _getCenterHandleGeoJSON() {
-        if (this._centerDragActive && this.radius < 10000) {
-            return turfHelpers.featureCollection([turfHelpers.point(this.center)]);
-        } else {
-            return turfHelpers.featureCollection([turfHelpers.point(this.center), this._circle]);
+    _getConstrainedMaxRadius(lngLat) {
+        if (!this._constraintPolygons || this.options.constrainOverlap !== 'within') {
+            return Infinity;
         }
+        const meters = _.min(_.flatMap(this._constraintPolygons, (polygon) => {
+            return _.flatMap(polygon.coordinates, (ring) => ring.slice(1).map((end, i) => {
+                return MapboxCircle._getDistanceToSegment(lngLat, ring[i], end);
+            }));
+        }));
+        return turfHelpers.convertDistance(meters, 'meters', this.options.units);
     }
 
     /**
-     * Return GeoJSON for radius handles and stroke.
+     * Clip center change to the last position along the way that satisfies `options.constrainTo`, remembering the
+     * clipped center for `constrained`, see `_emitConstrained`. A center that does not satisfy the constraint (e.g.
+     * restored from history) only moves to positions that do.
+     *
+     * Each boundary edge is tested once, in a plane around the current center: the move is clipped where it first
+     * comes within the radius (or, for `options.constrainOverlap` `'center'`, crosses) any edge. The clipped center is
+     * then checked on the sphere, backing off in case of projection error.
+     * @param {[number,number]} newCenter Requested center
+     * @return {[number,number]} Constrained center
      * @private
-     * @return {FeatureCollection}
      */
-    _getRadiusHandlesGeoJSON() {
-        return turfHelpers.featureCollection([...this._handles, this._circle]);
+    _constrainCenter(newCenter) {
+        if (!this._constraintPolygons || this._historyRestoring) {
+            return newCenter;
+        }
+        const isValid = (lngLat) => {
+            return this._isInsideConstraint(lngLat) && this._getConstrainedMaxRadius(lngLat) >= this.radius;
+        };
+        const start = [this.center[0], this.center[1]];
+        let fraction = 0;
+        if (isValid(start)) {
+            const metersPerDegree = turfHelpers.radiansToDistance(turfHelpers.degrees2radians(1), 'meters');
+            const lngScale = Math.cos(turfHelpers.degrees2radians(start[1])) * metersPerDegree;
+            const project = (lngLat) => {
+                const lng = MapboxCircle._wrapLongitude(lngLat[0] - start[0]);
+                return [lng * lngScale, (lngLat[1] - start[1]) * metersPerDegree];
+            };
+            const move = project(newCenter);
+            const radius = this.options.constrainOverlap === 'within' ? this._radiusInMeters : 0;
+            fraction = Math.min(_.min(_.flatMap(this._constraintPolygons, (polygon) => {
+                return _.flatMap(polygon.coordinates, (ring) => ring.slice(1).map((end, i) => {
+                    return MapboxCircle._getCapsuleHit(move, project(ring[i]), project(end), radius);
+                }));
+            })), 1);
+            for (let backOff = 1e-3; fraction > 0 && !isValid(MapboxCircle._interpolateSegment(start, newCenter,
+                fraction)); backOff *= 2) {
+                fraction = Math.max(fraction - backOff, 0);
+            }
+        } else if (isValid(newCenter)) {
+            fraction = 1;
+        }
+        if (fraction === 1) {
+            return newCenter;
+        }
+
+        const lngLat = MapboxCircle._interpolateSegment(start, newCenter, fraction);
+        this._constrained.center = {property: 'center', lngLat: {lat: lngLat[1], lng: lngLat[0]}};
+        return lngLat;
     }
 
     /**
-     * Refresh map with GeoJSON for circle/handles.
+     * Return where a point moving in a straight line from the origin first comes within a distance of a segment, i.e.
+     * hits the capsule around it.
+     * @param {[number,number]} move Movement vector
+     * @param {[number,number]} start Segment start
+     * @param {[number,number]} end Segment end
+     * @param {number} radius Capsule radius
+     * @return {number} Position along the movement, from `0` (origin), or `Infinity` if it does not hit the capsule
      * @private
      */
-    _animate() {
-        if (!this._centerDragActive && !this._radiusDragActive) {
-            this._map.getSource(this._circleSourceId).setData(this._getCircleGeoJSON());
+    static _getCapsuleHit(move, start, end, radius) {
+        const dot = (a, b) => a[0] * b[0] + a[1] * b[1];
+        const moveLengthSquared = dot(move, move);
+        if (moveLengthSquared === 0) {
+            return Infinity;
         }
 
-        if (this.options.editable) {
-            if (!this._radiusDragActive) {
-                this._map.getSource(this._circleCenterHandleSourceId).setData(this._getCenterHandleGeoJSON());
-            }
-            if (!this._centerDragActive) {
-                this._map.getSource(this._circleRadiusHandlesSourceId).setData(this._getRadiusHandlesGeoJSON());
-            }
+        const hits = [start, end].map((vertex) => { // Circles around the segment ends.
+            const along = dot(move, vertex);
+            const discriminant = along * along - moveLengthSquared * (dot(vertex, vertex) - radius * radius);
+            return discriminant >= 0 ? (along - Math.sqrt(discriminant)) / moveLengthSquared : -1;
+        });
+        const edge = [end[0] - start[0], end[1] - start[1]];
+        const edgeLength = Math.sqrt(dot(edge, edge));
+        const speed = edgeLength && dot(move, [-edge[1], edge[0]]) / edgeLength;
+        if (speed !== 0) { // Sides of the capsule, parallel to the segment.
+            const offset = dot(start, [-edge[1], edge[0]]) / edgeLength;
+            [-radius, radius].forEach((side) => {
+                const fraction = (offset + side) / speed;
+                const along = dot([move[0] * fraction - start[0], move[1] * fraction - start[1]], edge) / edgeLength;
+                if (along >= 0 && along <= edgeLength) {
+                    hits.push(fraction);
+                }
+            });
         }
+        return _.min(hits.filter((fraction) => fraction >= 0).concat(Infinity));
     }
 
     /**
-     * Returns true if cursor point is on a center/radius edit handle.
-     * @param {{x: number, y: number}} point
-     * @return {boolean}
+     * Fire `constrained` if the last center (or radius) change was clipped to `options.constrainTo`, once the change
+     * is committed.
+     * @param {string} property `'center'` or `'radius'`
      * @private
      */
-    _pointOnHandle(point) {
-        return !MapboxCircle.__MONOSTATE.activeEditableCircles.every((circleWithHandles) => {
-            // noinspection JSCheckFunctionSignatures
-            const handleLayersAtCursor = this.map.queryRenderedFeatures(
-                point, {layers: [circleWithHandles._circleCenterHandleId, circleWithHandles._circleRadiusHandlesId]});
-            return handleLayersAtCursor.length === 0;
-        });
+    _emitConstrained(property) {
+        const constrained = this._constrained[property];
+        this._constrained[property] = null;
+        if (constrained) {
+            this._eventEmitter.emit('constrained', this, constrained);
+        }
     }
 
     /**
-     * Broadcast suspend event to other interactive circles, instructing them to stop listening during drag interaction.
-     * @param {string} typeOfHandle 'radius' or 'circle'.
+     * @return {boolean} `true` if the circle is an ellipse, i.e. has a semi-minor axis.
      * @private
      */
-    _suspendHandleListeners(typeOfHandle) {
-        MapboxCircle.__MONOSTATE.broadcast.emit('suspendCenterHandleListeners', this._instanceId, typeOfHandle);
-        MapboxCircle.__MONOSTATE.broadcast.emit('suspendRadiusHandlesListeners', this._instanceId, typeOfHandle);
-        MapboxCircle.__MONOSTATE.broadcast.emit('suspendCircleFillListeners', this._instanceId, typeOfHandle);
+    _isEllipse() {
+        return this.semiMinor !== null;
     }
 
     /**
-     * Broadcast resume event to other editable circles, to make them to resume interactivity after a completed drag op.
-     * @param {string} typeOfHandle 'radius' or 'circle'.
+     * Return the distance from the center to the edge in the given direction; the radius, unless the circle is an
+     * ellipse.
+     * @param {number} bearing
+     * @return {number} Distance, in `options.units`
      * @private
      */
-    _resumeHandleListeners(typeOfHandle) {
-        MapboxCircle.__MONOSTATE.broadcast.emit('resumeCenterHandleListeners', this._instanceId, typeOfHandle);
-        MapboxCircle.__MONOSTATE.broadcast.emit('resumeRadiusHandlesListeners', this._instanceId, typeOfHandle);
-        MapboxCircle.__MONOSTATE.broadcast.emit('resumeCircleFillListeners', this._instanceId, typeOfHandle);
+    _getOuterRadius(bearing) {
+        if (!this._isEllipse()) {
+            return this.radius;
+        }
+        const angle = turfHelpers.degrees2radians(bearing - this.rotation);
+        const semiMajor = this.radius;
+        const semiMinor = this.semiMinor;
+        return semiMajor * semiMinor /
+            Math.sqrt(Math.pow(semiMinor * Math.cos(angle), 2) + Math.pow(semiMajor * Math.sin(angle), 2));
     }
 
     /**
-     * Disable map panning, set cursor style and highlight handle with new fill color.
-     * @param {string} layerId
-     * @param {string} cursor
+     * @param {number} bearing
+     * @return {number} Meter distance from the center to the edge in the given direction, see `_getOuterRadius`
      * @private
      */
-    _highlightHandles(layerId, cursor) {
-        this.map.dragPan.disable();
-        this.map.setPaintProperty(layerId, 'circle-color', this.options.fillColor);
-        this.map.getCanvas().style.cursor = cursor;
+    _getOuterRadiusInMeters(bearing) {
+        return this._toMeters(this._getOuterRadius(bearing));
     }
 
     /**
-     * Re-enable map panning, reset cursor icon and restore fill color to white.
-     * @param {string} layerId
+     * @param {[number,number]} point
+     * @return {number} Ratio of the point's center distance to the center-to-edge distance in its direction; up to
+     *     `1` inside the circle (or ellipse), ignoring any hole or sector
      * @private
      */
-    _resetHandles(layerId) {
-        this.map.dragPan.enable();
-        this.map.setPaintProperty(layerId, 'circle-color', '#ffffff');
-        this.map.getCanvas().style.cursor = '';
+    _getEdgeRatio(point) {
+        const distance = turfDistance(this.center, point, 'meters');
+        return distance && distance / this._getOuterRadiusInMeters(turfBearing(this.center, point));
     }
 
     /**
-     * Adjust circle precision (steps used to draw the polygon).
+     * Return the ellipse ring, with vertices at great-circle distances from the center along evenly spaced bearings.
+     * @param {number} steps Number of vertices
+     * @return {Array<[number,number]>} Closed ring, clockwise from the end of the major axis
      * @private
      */
-    _onZoomEnd() {
-        this.zoom = this.map.getZoom();
+    _getEllipseRing(steps) {
+        const coordinates = _.range(steps).map((i) => {
+            const bearing = this.rotation + 360 * i / steps;
+            return turfDestination(this.center, this._getOuterRadius(bearing), bearing,
+                this.options.units).geometry.coordinates;
+        });
+        return coordinates.concat([coordinates[0]]);
     }
 
     /**
-     * Highlight center handle and disable panning.
+     * @return {number} Clockwise angle from start to end bearing of the sector, `360` for a full circle.
      * @private
      */
-    _onCenterHandleMouseEnter() {
-        this._highlightHandles(this._circleCenterHandleId, 'move');
+    _getSectorSpan() {
+        return this._sector ? (this._sector.endBearing - this._sector.startBearing + 360) % 360 || 360 : 360;
     }
 
     /**
-     * Stop listening to center handle events, unless it's what the circle is currently busy with.
-     * @param {number} instanceId ID of the circle instance that requested suspension.
-     * @param {string} typeOfHandle 'center' or 'radius'.
+     * @param {number} bearing
+     * @return {boolean} `true` if the bearing from the center is within the sector (or the circle is no sector)
      * @private
      */
-    _onCenterHandleSuspendEvents(instanceId, typeOfHandle) {
-        if (instanceId !== this._instanceId || typeOfHandle === 'radius') {
-            this._unbindCenterHandleListeners();
-        }
+    _isBearingInSector(bearing) {
+        return !this._sector || ((bearing - this._sector.startBearing) % 360 + 360) % 360 <= this._getSectorSpan();
     }
 
     /**
-     * Start listening to center handle events again, unless the circle was NOT among those targeted by suspend event.
-     * @param {number} instanceId ID of the circle instance that said it's time to resume listening.
-     * @param {string} typeOfHandle 'center' or 'radius'.
+     * @return {Array<Array<[number,number]>>} Start and end edge segments of the sector, from the center (or inner
+     *     radius) to the radius
      * @private
      */
-    _onCenterHandleResumeEvents(instanceId, typeOfHandle) {
-        if (instanceId !== this._instanceId || typeOfHandle === 'radius') {
-            this._bindCenterHandleListeners();
-        }
+    _getSectorEdges() {
+        return [this._sector.startBearing, this._sector.endBearing].map((bearing) => [
+            this.innerRadius > 0 ? turfDestination(this.center, this.innerRadius, bearing,
+                this.options.units).geometry.coordinates : this.center,
+            turfDestination(this.center, this.radius, bearing, this.options.units).geometry.coordinates
+        ]);
     }
 
     /**
-     * Highlight center handle, disable panning and add mouse-move listener (emulating drag until mouse-up event).
+     * @param {[number,number]} start Segment start
+     * @param {[number,number]} end Segment end
+     * @return {Array<number>} Positions where the great-circle segment crosses the great circles through the sector
+     *     edges, from `0` (start) to `1` (end)
      * @private
      */
-    _onCenterHandleMouseDown() {
-        if (this._getCursorStyle() !== 'move') {
-            /* Only trigger center edit event if the user expects it. */ return;
-        }
-        this._centerDragActive = true;
-        this._mapOnDebounced('mousemove', this._onCenterHandleMouseMove);
-        this.map.addLayer(this._getCenterHandleStrokeLayer(), this._circleCenterHandleId);
-        this._suspendHandleListeners('center');
-        this.map.once('mouseup', this._onCenterHandleMouseUpOrMapMouseOut);
-        this.map.once('mouseout', this._onCenterHandleMouseUpOrMapMouseOut); // Deactivate drag if mouse leaves canvas.
-        this._highlightHandles(this._circleCenterHandleId, 'move');
+    _getSectorEdgeCrossings(start, end) {
+        return [this._sector.startBearing, this._sector.endBearing].map((bearing) => {
+            const isRightOfEdge = (fraction) => {
+                const point = MapboxCircle._interpolateSegment(start, end, fraction);
+                return Math.sin(turfHelpers.degrees2radians(turfBearing(this.center, point) - bearing)) > 0;
+            };
+            let low = 0;
+            let high = 1;
+            const lowSide = isRightOfEdge(low);
+            if (lowSide === isRightOfEdge(high)) {
+                return null;
+            }
+            for (let i = 0; i < 30; i++) {
+                const middle = (low + high) / 2;
+                if (isRightOfEdge(middle) === lowSide) {
+                    low = middle;
+                } else {
+                    high = middle;
+                }
+            }
+            return (low + high) / 2;
+        }).filter((fraction) => fraction !== null);
     }
 
     /**
-     * Animate circle center change after _onCenterHandleMouseDown triggers.
-     * @param {MapMouseEvent} event
+     * @return {[number,number]} Point inside the circle: the center, or halfway across the ring of an annulus and along
+     *     the middle bearing of a sector
      * @private
      */
-    _onCenterHandleMouseMove(event) {
-        const mousePoint = turfTruncate(turfHelpers.point(this.map.unproject(event.point).toArray()), 6);
-        this.center = mousePoint.geometry.coordinates;
+    _getInteriorPoint() {
+        if (!this._sector && this.innerRadius === 0) {
+            return this.center;
+        }
+        const bearing = this._sector ? this._sector.startBearing + this._getSectorSpan() / 2 : 0;
+        return turfDestination(this.center, (this.innerRadius + this._getOuterRadius(bearing)) / 2, bearing,
+            this.options.units).geometry.coordinates;
     }
 
     /**
-     * Reset center handle, re-enable panning and remove listeners from _onCenterHandleMouseDown.
-     * @param {MapMouseEvent} event
+     * @param {[number,number]} point
+     * @return {number} Meter distance from the closest sector edge
      * @private
      */
-    _onCenterHandleMouseUpOrMapMouseOut(event) {
-        if (event.type === 'mouseout') {
-            const toMarker = event.originalEvent.toElement.classList.contains('mapboxgl-marker');
-            const fromCanvas = event.originalEvent.fromElement.classList.contains('mapboxgl-canvas');
-
-            const toCanvas = event.originalEvent.toElement.classList.contains('mapboxgl-canvas');
-            const fromMarker = event.originalEvent.fromElement.classList.contains('mapboxgl-marker');
-
-            if ((fromCanvas && toMarker) || (fromMarker && toCanvas)) {
-                this.map.once('mouseout', this._onCenterHandleMouseUpOrMapMouseOut); // Add back 'once' handler.
-                return;
-            }
-        }
-
-        const newCenter = this.center;
-        this._centerDragActive = false;
-        this._mapOffDebounced('mousemove', this._onCenterHandleMouseMove);
-        switch (event.type) {
-            case 'mouseup': this.map.off('mouseout', this._onCenterHandleMouseUpOrMapMouseOut); break;
-            case 'mouseout': this.map.off('mouseup', this._onCenterHandleMouseUpOrMapMouseOut); break;
-        }
-        this._resumeHandleListeners('center');
-        this.map.removeLayer(this._circleCenterHandleStrokeId);
-        this._resetHandles(this._circleCenterHandleId);
-        if (newCenter[0] !== this._lastCenterLngLat[0] || newCenter[1] !== this._lastCenterLngLat[1]) {
-            this.center = newCenter;
-            this._eventEmitter.emit('centerchanged', this);
-        }
+    _getDistanceToSectorEdges(point) {
+        return _.min(this._getSectorEdges().map((edge) => MapboxCircle._getDistanceToSegment(point, edge[0], edge[1])));
     }
 
     /**
-     * Update _lastCenterLngLat on `centerchanged` event.
+     * @param {number} radius Radius, in `options.units`
+     * @param {number} steps Number of vertices of a full circle
+     * @return {Array<[number,number]>} Coordinates of the sector arc, clockwise from start to end bearing
      * @private
      */
-    _onCenterChanged() {
-        this._lastCenterLngLat[0] = this.center[0];
-        this._lastCenterLngLat[1] = this.center[1];
+    _getArc(radius, steps) {
+        const span = this._getSectorSpan();
+        const arcSteps = Math.max(Math.ceil(steps * span / 360), 1);
+        return _.range(arcSteps + 1).map((i) => {
+            const bearing = this._sector.startBearing + span * i / arcSteps;
+            return turfDestination(this.center, radius, bearing, this.options.units).geometry.coordinates;
+        });
     }
 
     /**
-     * Reset center handle and re-enable panning, unless actively dragging.
+     * @param {Array<[number,number]>} coordinates Closed ring
+     * @return {{outline: Array<[number,number]>, ring: Array<[number,number]>}} Unwrapped outline coordinates, and
+     *     the matching polygon ring
      * @private
      */
-    _onCenterHandleMouseLeave() {
-        if (this._centerDragActive) {
-            setTimeout(() => { // If dragging, wait a bit to see if it just recently stopped.
-                if (!this._centerDragActive) this._resetHandles(this._circleCenterHandleId);
-            }, 125);
-        } else {
-            this._resetHandles(this._circleCenterHandleId);
+    _closeRing(coordinates) {
+        let outline = MapboxCircle._unwrapLongitudes(coordinates);
+        if (Math.abs(outline[outline.length - 1][0] - outline[0][0]) < 180) {
+            return {outline: outline, ring: outline.slice()};
         }
+
+        const pole = this.center[1] >= 0 ? 1 : -1; // Unwrapped ring doesn't close, i.e. it goes around a pole.
+        outline = MapboxCircle._unwrapLongitudes(MapboxCircle._rotateRingToAntimeridian(coordinates));
+        // The ring of a polar cap spans all longitudes; close it along the pole, so that the fill covers the cap and
+        // not the rest of the world.
+        return {
+            outline: outline,
+            ring: outline.concat([[outline[outline.length - 1][0], pole * 90], [outline[0][0], pole * 90], outline[0]])
+        };
     }
 
     /**
-     * Return vertical or horizontal resize arrow depending on if mouse is at left-right or top-bottom edit handles.
-     * @param {MapMouseEvent} event
-     * @return {string} 'ew-resize' or 'ns-resize'
+     * @return {Array<Feature<LineString>>} Outer and (for an annulus) inner circle outline.
      * @private
      */
-    _getRadiusHandleCursorStyle(event) {
-        const bearing = turfBearing(event.lngLat.toArray(), this._currentCenterLngLat, true);
-
-        if (bearing > 270+45 || bearing <= 45) { // South.
-            return 'ns-resize';
-        }
-        if (bearing > 45 && bearing <= 90+45) { // West.
-            return 'ew-resize';
-        }
-        if (bearing > 90+45 && bearing <= 180+45) { // North.
-            return 'ns-resize';
-        }
-        if (bearing > 270-45 && bearing <= 270+45) { // East.
-            return 'ew-resize';
-        }
+    _getOutlines() {
+        return this._circleInnerOutline ? [this._circleOutline, this._circleInnerOutline] : [this._circleOutline];
     }
 
     /**
-     * Highlight radius handles and disable panning.
-     * @param {MapMouseEvent} event
+     * Return GeoJSON for circle fill (polygon) and stroke (line strings).
      * @private
+     * @return {FeatureCollection}
      */
-    _onRadiusHandlesMouseEnter(event) {
-        this._highlightHandles(this._circleRadiusHandlesId, this._getRadiusHandleCursorStyle(event));
+    _getCircleGeoJSON() {
+        return turfHelpers.featureCollection([this._circle, ...this._getOutlines(), ...this._animationRings]);
     }
 
     /**
-     * Stop listening to radius handles' events, unless it's what the circle is currently busy with.
-     * @param {number} instanceId ID of the circle instance that requested suspension.
-     * @param {string} typeOfHandle 'center' or 'radius'.
+     * Return GeoJSON for center handle and stroke.
      * @private
+     * @return {FeatureCollection}
      */
-    _onRadiusHandlesSuspendEvents(instanceId, typeOfHandle) {
-        if (instanceId !== this._instanceId || typeOfHandle === 'center') {
-            this._unbindRadiusHandlesListeners();
+    _getCenterHandleGeoJSON() {
+        if (this._centerDragActive && this._radiusInMeters < 10000) {
+            return turfHelpers.featureCollection([turfHelpers.point(this.center)]);
+        } else {
+            return turfHelpers.featureCollection([turfHelpers.point(this.center), ...this._getOutlines()]);
         }
     }
 
     /**
-     * Start listening to radius handles' events again, unless the circle was NOT among those targeted by suspend event.
-     * @param {number} instanceId ID of the circle instance that said it's time to resume listening.
-     * @param {string} typeOfHandle 'center' or 'radius'.
+     * Return GeoJSON for radius handles and stroke.
      * @private
+     * @return {FeatureCollection}
      */
-    _onRadiusHandlesResumeEvents(instanceId, typeOfHandle) {
-        if (instanceId !== this._instanceId || typeOfHandle === 'center') {
-            this._bindRadiusHandlesListeners();
+    _getRadiusHandlesGeoJSON() {
+        if (this._radiusDragActive && this.options.label) {
+            const guideLine = turfHelpers.lineString([this.center, turfDestination(
+                this.center, this._draggedRadius, this._radiusDragBearing, this.options.units).geometry.coordinates]);
+            return turfHelpers.featureCollection([...this._handles, ...this._getOutlines(), guideLine]);
         }
+        return turfHelpers.featureCollection([...this._handles, ...this._getOutlines()]);
     }
 
     /**
-     * Highlight radius handles, disable panning and add mouse-move listener (emulating drag until mouse-up event).
-     * @param {MapMouseEvent} event
+     * Refresh map with GeoJSON for circle/handles.
      * @private
      */
-    _onRadiusHandlesMouseDown(event) {
-        if (!this._getCursorStyle().endsWith('-resize')) {
-            /* Only trigger radius edit event if the user expects it. */ return;
+    _animate() {
+        if (this._collection) {
+            this._collection._scheduleUpdate();
+            return;
+        }
+
+        if (!this._centerDragActive && !this._radiusDragActive) {
+            this._map.getSource(this._circleSourceId).setData(this._getCircleGeoJSON());
+        }
+
+        if (this.options.editable) {
+            if (this.options.editCenter && !this._radiusDragActive) {
+                this._map.getSource(this._circleCenterHandleSourceId).setData(this._getCenterHandleGeoJSON());
+            }
+            if (this.options.editRadius && !this._centerDragActive) {
+                this._map.getSource(this._circleRadiusHandlesSourceId).setData(this._getRadiusHandlesGeoJSON());
+            }
         }
-        this._radiusDragActive = true;
-        this._mapOnDebounced('mousemove', this._onRadiusHandlesMouseMove);
-        this.map.addLayer(this._getRadiusHandlesStrokeLayer(), this._circleRadiusHandlesId);
-        this._suspendHandleListeners('radius');
-        this.map.once('mouseup', this._onRadiusHandlesMouseUpOrMapMouseOut);
-        this.map.once('mouseout', this._onRadiusHandlesMouseUpOrMapMouseOut); // Deactivate drag if mouse leaves canvas.
-        this._highlightHandles(this._circleRadiusHandlesId, this._getRadiusHandleCursorStyle(event));
     }
 
     /**
-     * Animate circle radius change after _onRadiusHandlesMouseDown triggers.
-     * @param {MapMouseEvent} event
+     * Update center or radius on every animation frame until `options.duration` has passed, cancelling any running
+     * transition of the same property, then apply the final value and fire `transitionend`.
+     * @param {string} property `'center'` or `'radius'`
+     * @param {Object} options See {@link #setCenter}
+     * @param {Function} update Invoked with the eased progress, from `0` to `1`
+     * @param {Function} complete Apply the final value
+     * @param {Function} cancel Settle the value reached if cancelled, see {@link #_cancelTransition}
      * @private
      */
-    _onRadiusHandlesMouseMove(event) {
-        const mousePoint = this.map.unproject(event.point).toArray();
-        this.radius = Math.round(turfDistance(this.center, mousePoint, 'meters'));
+    _startTransition(property, options, update, complete, cancel) {
+        const duration = typeof options.duration === 'number' ? options.duration : 500;
+        const easing = options.easing || ((t) => (1 - Math.cos(Math.PI * t)) / 2);
+        const start = Date.now();
+        const step = () => {
+            const progress = duration > 0 ? Math.min((Date.now() - start) / duration, 1) : 1;
+            if (progress < 1) {
+                update(easing(progress));
+                this._transitionFrames[property] = requestAnimationFrame(step);
+            } else {
+                delete this._transitionFrames[property];
+                delete this._transitionCancels[property];
+                complete();
+                this._eventEmitter.emit('transitionend', this, {property: property, cancelled: false});
+            }
+        };
+        this._cancelTransition(property, true);
+        this._transitionFrames[property] = requestAnimationFrame(step);
+        this._transitionCancels[property] = cancel;
     }
 
     /**
-     * Reset radius handles, re-enable panning and remove listeners from _onRadiusHandlesMouseDown.
-     * @param {MapMouseEvent} event
+     * Stop a running center or radius transition where it is, firing `centerchanged` or `radiuschanged` for the value
+     * reached and `transitionend` with `cancelled: true`.
+     * @param {string} property `'center'` or `'radius'`
+     * @param {?boolean} [superseded=false] Skip the change event, as a new value is about to be set
      * @private
      */
-    _onRadiusHandlesMouseUpOrMapMouseOut(event) {
-        if (event.type === 'mouseout') {
-            const toMarker = event.originalEvent.toElement.classList.contains('mapboxgl-marker');
-            const fromCanvas = event.originalEvent.fromElement.classList.contains('mapboxgl-canvas');
-
-            const toCanvas = event.originalEvent.toElement.classList.contains('mapboxgl-canvas');
-            const fromMarker = event.originalEvent.fromElement.classList.contains('mapboxgl-marker');
-
-            if ((fromCanvas && toMarker) || (fromMarker && toCanvas)) {
-                this.map.once('mouseout', this._onRadiusHandlesMouseUpOrMapMouseOut); // Add back 'once' handler.
-                return;
+    _cancelTransition(property, superseded) {
+        if (this._transitionFrames[property] !== undefined) {
+            cancelAnimationFrame(this._transitionFrames[property]);
+            const cancel = this._transitionCancels[property];
+            delete this._transitionFrames[property];
+            delete this._transitionCancels[property];
+            if (!superseded) {
+                cancel();
             }
-        }
-
-        const newRadius = this.radius;
-        this._radiusDragActive = false;
-        this._mapOffDebounced('mousemove', this._onRadiusHandlesMouseMove);
-        this.map.removeLayer(this._circleRadiusHandlesStrokeId);
-        switch (event.type) {
-            case 'mouseup': this.map.off('mouseout', this._onRadiusHandlesMouseUpOrMapMouseOut); break;
-            case 'mouseout': this.map.off('mouseup', this._onRadiusHandlesMouseUpOrMapMouseOut); break;
-        }
-        this._resumeHandleListeners('radius');
-        this._resetHandles(this._circleRadiusHandlesId);
-        if (newRadius !== this._lastRadius) {
-            this.radius = newRadius;
-            this._eventEmitter.emit('radiuschanged', this);
+            this._eventEmitter.emit('transitionend', this, {property: property, cancelled: true});
         }
     }
 
     /**
-     * Update _lastRadius on `radiuschanged` event.
+     * @param {mapboxgl.Map} map
+     * @return {Array<[number,number]>} Pixel box `[[minX, minY], [maxX, maxY]]` around the circle bounds on screen
      * @private
      */
-    _onRadiusChanged() {
-        this._lastRadius = this.radius;
+    _getPixelBounds(map) {
+        const bounds = this.getBounds();
+        const corners = [
+            [bounds.sw.lng, bounds.sw.lat], [bounds.sw.lng, bounds.ne.lat],
+            [bounds.ne.lng, bounds.ne.lat], [bounds.ne.lng, bounds.sw.lat]
+        ].map((corner) => map.project(corner));
+        return [
+            [_.minBy(corners, 'x').x, _.minBy(corners, 'y').y],
+            [_.maxBy(corners, 'x').x, _.maxBy(corners, 'y').y]
+        ];
     }
 
     /**
-     * Reset radius handles and re-enable panning, unless actively dragging.
+     * @return {boolean} `true` if the document is visible and the circle is (partly) on screen
      * @private
      */
-    _onRadiusHandlesMouseLeave() {
-        if (this._radiusDragActive) {
-            setTimeout(() => { // If dragging, wait a bit to see if it just recently stopped.
-                if (!this._radiusDragActive) this._resetHandles(this._circleRadiusHandlesId);
-            }, 125);
-        } else {
-            this._resetHandles(this._circleRadiusHandlesId);
+    _isAnimationVisible() {
+        if (document.hidden) {
+            return false;
         }
+        const box = this._getPixelBounds(this.map);
+        const canvas = this.map.getCanvas();
+        return box[1][0] >= 0 && box[0][0] <= canvas.clientWidth && box[1][1] >= 0 && box[0][1] <= canvas.clientHeight;
     }
 
     /**
-     * Set pointer cursor when moving over circle fill, and it's clickable.
-     * @param {MapMouseEvent} event
+     * Start rendering `options.animation` on the map, adding the ripple layer if needed.
      * @private
      */
-    _onCircleFillMouseMove(event) {
-        if (this._eventEmitter.listeners('click').length > 0 && !this._pointOnHandle(event.point)) {
-            event.target.getCanvas().style.cursor = 'pointer';
+    _runAnimation() {
+        if (this._animationRunning) {
+            return;
+        }
+        this._animationRunning = true;
+        this._animationStart = Date.now();
+        if (this.options.animation.type === 'ripple') {
+            this.map.addLayer(this._getCircleRippleLayer(), this._circleFillId);
         }
+        this.map.on('move', this._onAnimationResume);
+        document.addEventListener('visibilitychange', this._onAnimationResume);
+        this._onAnimationResume();
     }
 
     /**
-     * Stop listening to circle fill events.
+     * Stop rendering the animation, restoring the circle fill opacity and removing ripple rings.
      * @private
      */
-    _onCircleFillSuspendEvents() {
-        this._unbindCircleFillListeners();
+    _haltAnimation() {
+        if (!this._animationRunning) {
+            return;
+        }
+        this._animationRunning = false;
+        cancelAnimationFrame(this._animationFrame);
+        this._animationFrame = undefined;
+        this.map.off('move', this._onAnimationResume);
+        document.removeEventListener('visibilitychange', this._onAnimationResume);
+
+        this.map.setPaintProperty(this._circleFillId, 'fill-opacity', this.options.fillOpacity);
+        if (this.map.getLayer(this._circleRippleId)) {
+            this.map.removeLayer(this._circleRippleId);
+        }
+        this._animationRings = [];
+        this.map.getSource(this._circleSourceId).setData(this._getCircleGeoJSON());
     }
 
     /**
-     * Start listening to circle fill events again.
+     * Request the next animation frame, unless already requested or the circle is not visible.
      * @private
      */
-    _onCircleFillResumeEvents() {
-        this._bindCircleFillListeners();
+    _onAnimationResume() {
+        if (this._animationRunning && this._animationFrame === undefined && this._isAnimationVisible()) {
+            this._animationFrame = requestAnimationFrame(this._onAnimationFrame);
+        }
     }
 
     /**
-     * Fire 'contextmenu' event.
-     * @param {MapMouseEvent} event
+     * Render pulse (fill opacity) or ripple (ring) animation frame. The animation pauses while the circle is off
+     * screen or the document is hidden, until the map moves or the document gets visible again.
      * @private
      */
-    _onCircleFillContextMenu(event) {
-        if (this._pointOnHandle(event.point)) {
-            /* No click events while on a center/radius edit handle. */ return;
+    _onAnimationFrame() {
+        this._animationFrame = undefined;
+        if (!this._isAnimationVisible()) {
+            return;
         }
 
-        if (event.originalEvent.ctrlKey && MapboxCircle._checkIfBrowserIsSafari()) {
-            // This hack comes from SPFAM-1090, aimed towards eliminating the extra 'click' event that's
-            // emitted by Safari when performing a right-click by holding the ctrl button.
-            this.__safariContextMenuEventHackEnabled = true;
+        const animation = this.options.animation;
+        const phase = (Date.now() - this._animationStart) % animation.period / animation.period;
+        if (animation.type === 'ripple') {
+            this._animationRings = _.range(animation.rings).map((i) => {
+                const ringPhase = (phase + i / animation.rings) % 1;
+                const radius = this.radius * (1 + (animation.scale - 1) * ringPhase);
+                const ring = turfCircle(this.center, radius, 64, this.options.units).geometry.coordinates[0];
+                return turfHelpers.lineString(this._closeRing(ring).outline, {ripple: 1 - ringPhase});
+            });
+            this.map.getSource(this._circleSourceId).setData(this._getCircleGeoJSON());
         } else {
-            this._eventEmitter.emit('contextmenu', event);
+            const fillOpacity = this.options.fillOpacity;
+            this.map.setPaintProperty(this._circleFillId, 'fill-opacity', animation.minOpacity +
+                (fillOpacity - animation.minOpacity) * (1 + Math.cos(2 * Math.PI * phase)) / 2);
         }
+        this._animationFrame = requestAnimationFrame(this._onAnimationFrame);
     }
 
     /**
-     * Fire 'click' event.
-     * @param {MapMouseEvent} event
+     * Format distance for the drag label, see `options.label`.
+     * @param {number} meters
+     * @param {string} units
+     * @param {?string} locale
+     * @return {string}
      * @private
      */
-    _onCircleFillClick(event) {
-        if (this._pointOnHandle(event.point)) {
-            /* No click events while on a center/radius edit handle. */ return;
-        }
-
-        if (!this.__safariContextMenuEventHackEnabled) {
-            this._eventEmitter.emit('click', event);
-        } else {
-            this._eventEmitter.emit('contextmenu', event);
-            this.__safariContextMenuEventHackEnabled = false;
+    static _formatDistance(meters, units, locale) {
+        const metersPerUnit = {m: 1, km: 1000, mi: 1609.344, ft: 0.3048, nmi: 1852};
+        const turfUnits = {
+            meters: 'm', metres: 'm', kilometers: 'km', kilometres: 'km', miles: 'mi', feet: 'ft', nauticalmiles: 'nmi'
+        };
+        let unit = turfUnits[units] || units;
+        if (units === 'metric') {
+            unit = meters >= 1000 ? 'km' : 'm';
+        } else if (units === 'imperial') {
+            unit = meters >= metersPerUnit.mi ? 'mi' : 'ft';
+        } else if (units === 'nautical') {
+            unit = 'nmi';
         }
+        const value = meters / metersPerUnit[unit];
+        const fractionDigits = value >= 100 || unit === 'm' || unit === 'ft' ? 0 : (value >= 10 ? 1 : 2);
+        return value.toLocaleString(locale, {maximumFractionDigits: fractionDigits}) + ' ' + unit;
     }
 
     /**
-     * Remove pointer cursor when leaving circle fill.
-     * @param {MapMouseEvent} event
+     * Add drag label element to map canvas container.
      * @private
      */
-    _onCircleFillMouseLeave(event) {
-        if (this._eventEmitter.listeners('click').length > 0 && !this._pointOnHandle(event.point)) {
-            event.target.getCanvas().style.cursor = '';
+    _showDragLabel() {
+        if (!this.options.label) {
+            return;
         }
+        this._labelEl = document.createElement('div');
+        this._labelEl.className = this.options.label.className;
+        _.extend(this._labelEl.style, {
+            position: 'absolute',
+            left: 0,
+            top: 0,
+            padding: '2px 4px',
+            borderRadius: '2px',
+            background: 'rgba(255, 255, 255, 0.8)',
+            font: '12px/16px sans-serif',
+            whiteSpace: 'nowrap',
+            pointerEvents: 'none'
+        });
+        this.map.getCanvasContainer().appendChild(this._labelEl);
+        this._updateDragLabel();
     }
 
     /**
-     * When map style is changed, remove circle assets from map and add it back on next MapboxGL 'styledata' event.
-     * @param {MapDataEvent} event
+     * Update drag label text and position; at the middle of the guide line on radius drag, or above the center.
      * @private
      */
-    _onMapStyleDataLoading(event) {
-        if (this.map) {
-            this.map.once('styledata', () => {
-                // noinspection JSUnresolvedVariable
-                this.addTo(event.target);
-            });
-            this.remove();
+    _updateDragLabel() {
+        if (!this._labelEl) {
+            return;
+        }
+        const options = this.options.label;
+        let text;
+        let position;
+        if (this._radiusDragActive) {
+            if (MapboxCircle._isBearingHandle(this._radiusDragHandle)) {
+                const bearing = this._radiusDragHandle === 'rotation' ?
+                    this.rotation : this._sector[this._radiusDragHandle];
+                text = options.formatter ? options.formatter(bearing, 'bearing') :
+                    bearing.toLocaleString(options.locale, {maximumFractionDigits: 0}) + '\u00b0';
+            } else {
+                const meters = this._toMeters(this._draggedRadius);
+                text = options.formatter ? options.formatter(meters, 'radius') :
+                    MapboxCircle._formatDistance(meters, options.units, options.locale);
+            }
+            const midpoint = turfDestination(this.center, this._draggedRadius / 2, this._radiusDragBearing,
+                this.options.units);
+            position = this.map.project(midpoint.geometry.coordinates);
+        } else {
+            const formatOptions = {minimumFractionDigits: 5, maximumFractionDigits: 5};
+            text = options.formatter ? options.formatter(this.getCenter(), 'center') :
+                this.center[1].toLocaleString(options.locale, formatOptions) + ', ' +
+                this.center[0].toLocaleString(options.locale, formatOptions);
+            position = this.map.project(this.center);
         }
+        this._labelEl.textContent = text;
+        this._labelEl.style.transform = 'translate(' + position.x + 'px, ' + position.y + 'px) ' +
+            'translate(-50%, ' + (this._radiusDragActive ? '-50%' : '-150%') + ')';
     }
 
     /**
-     * Add all static listeners for center handle.
-     * @param {mapboxgl.Map} [map]
+     * Remove drag label element.
      * @private
      */
-    _bindCenterHandleListeners(map) {
-        map = map || this.map;
-        const layerId = this._circleCenterHandleId;
-        map.on('mouseenter', layerId, this._onCenterHandleMouseEnter);
-        map.on('mousedown', layerId, this._onCenterHandleMouseDown);
-        map.on('mouseleave', layerId, this._onCenterHandleMouseLeave);
+    _hideDragLabel() {
+        if (this._labelEl) {
+            this._labelEl.parentNode.removeChild(this._labelEl);
+            this._labelEl = undefined;
+        }
     }
 
     /**
-     * Remove all static listeners for center handle.
-     * @param {mapboxgl.Map} [map]
-     * @private
-     */
-    _unbindCenterHandleListeners(map) {
-        map = map || this.map;
-        const layerId = this._circleCenterHandleId;
-        map.off('mouseenter', layerId, this._onCenterHandleMouseEnter);
-        map.off('mousedown', layerId, this._onCenterHandleMouseDown);
-        map.off('mouseleave', layerId, this._onCenterHandleMouseLeave);
+     * Returns true if cursor point is on a center/radius edit handle.
+     * @param {{x: number, y: number}} point
+     * @return {boolean}
+     * @private
+     */
+    _pointOnHandle(point) {
+        return !MapboxCircle.__MONOSTATE.activeEditableCircles.every((circleWithHandles) => {
+            const layers = [circleWithHandles._circleCenterHandleId, circleWithHandles._circleRadiusHandlesId]
+                .filter((layerId) => this.map.getLayer(layerId));
+            // noinspection JSCheckFunctionSignatures
+            return layers.length === 0 || this.map.queryRenderedFeatures(point, {layers: layers}).length === 0;
+        });
     }
 
     /**
-     * Add all static listeners for radius handles.
-     * @param {mapboxgl.Map} [map]
+     * Broadcast suspend event to other interactive circles, instructing them to stop listening during drag interaction.
+     * @param {string} typeOfHandle 'radius' or 'circle'.
      * @private
      */
-    _bindRadiusHandlesListeners(map) {
-        map = map || this.map;
-        const layerId = this._circleRadiusHandlesId;
-        map.on('mouseenter', layerId, this._onRadiusHandlesMouseEnter);
-        map.on('mousedown', layerId, this._onRadiusHandlesMouseDown);
-        map.on('mouseleave', layerId, this._onRadiusHandlesMouseLeave);
+    _suspendHandleListeners(typeOfHandle) {
+        MapboxCircle.__MONOSTATE.broadcast.emit('suspendCenterHandleListeners', this._instanceId, typeOfHandle);
+        MapboxCircle.__MONOSTATE.broadcast.emit('suspendRadiusHandlesListeners', this._instanceId, typeOfHandle);
+        MapboxCircle.__MONOSTATE.broadcast.emit('suspendCircleFillListeners', this._instanceId, typeOfHandle);
     }
 
     /**
-     * Remove all static listeners for radius handles.
-     * @param {mapboxgl.Map} [map]
+     * Broadcast resume event to other editable circles, to make them to resume interactivity after a completed drag op.
+     * @param {string} typeOfHandle 'radius' or 'circle'.
      * @private
      */
-    _unbindRadiusHandlesListeners(map) {
-        map = map || this.map;
-        const layerId = this._circleRadiusHandlesId;
-        map.off('mouseenter', layerId, this._onRadiusHandlesMouseEnter);
-        map.off('mousedown', layerId, this._onRadiusHandlesMouseDown);
-        map.off('mouseleave', layerId, this._onRadiusHandlesMouseLeave);
+    _resumeHandleListeners(typeOfHandle) {
+        MapboxCircle.__MONOSTATE.broadcast.emit('resumeCenterHandleListeners', this._instanceId, typeOfHandle);
+        MapboxCircle.__MONOSTATE.broadcast.emit('resumeRadiusHandlesListeners', this._instanceId, typeOfHandle);
+        MapboxCircle.__MONOSTATE.broadcast.emit('resumeCircleFillListeners', this._instanceId, typeOfHandle);
     }
 
     /**
-     * Add all click/contextmenu listeners for circle fill layer.
-     * @param {mapboxgl.Map} [map]
+     * Disable map panning, set cursor style and highlight handle with new fill color.
+     * @param {string} layerId
+     * @param {string} cursor
      * @private
      */
-    _bindCircleFillListeners(map) {
-        map = map || this.map;
-        const layerId = this._circleFillId;
-        map.on('click', layerId, this._onCircleFillClick);
-        map.on('contextmenu', layerId, this._onCircleFillContextMenu);
-        map.on('mousemove', layerId, this._onCircleFillMouseMove);
-        map.on('mouseleave', layerId, this._onCircleFillMouseLeave);
+    _highlightHandles(layerId, cursor) {
+        this.map.dragPan.disable();
+        this.map.setPaintProperty(layerId, 'circle-color', this.options.fillColor);
+        this.map.getCanvas().style.cursor = cursor;
     }
 
     /**
-     * Remove all click/contextmenu listeners for circle fill.
-     * @param {mapboxgl.Map} [map]
+     * Re-enable map panning, reset cursor icon and restore fill color to white.
+     * @param {string} layerId
      * @private
      */
-    _unbindCircleFillListeners(map) {
-        map = map || this.map;
-        const layerId = this._circleFillId;
-        map.off('click', layerId, this._onCircleFillClick);
-        map.off('contextmenu', layerId, this._onCircleFillContextMenu);
-        map.off('mousemove', layerId, this._onCircleFillMouseMove);
-        map.off('mouseleave', layerId, this._onCircleFillMouseLeave);
+    _resetHandles(layerId) {
+        this.map.dragPan.enable();
+        this.map.setPaintProperty(layerId, 'circle-color', '#ffffff');
+        this.map.getCanvas().style.cursor = '';
     }
 
     /**
-     * Add suspend/resume listeners for `__MONOSTATE.broadcast` event emitter.
+     * Adjust circle precision (steps used to draw the polygon).
      * @private
      */
-    _bindBroadcastListeners() {
-        MapboxCircle.__MONOSTATE.broadcast.on('suspendCenterHandleListeners', this._onCenterHandleSuspendEvents);
-        MapboxCircle.__MONOSTATE.broadcast.on('resumeCenterHandleListeners', this._onCenterHandleResumeEvents);
+    _onZoomEnd() {
+        this.zoom = this.map.getZoom();
+    }
 
-        MapboxCircle.__MONOSTATE.broadcast.on('suspendRadiusHandlesListeners', this._onRadiusHandlesSuspendEvents);
-        MapboxCircle.__MONOSTATE.broadcast.on('resumeRadiusHandlesListeners', this._onRadiusHandlesResumeEvents);
+    /**
+     * Highlight center handle and disable panning.
+     * @private
+     */
+    _onCenterHandleMouseEnter() {
+        this._highlightHandles(this._circleCenterHandleId, 'move');
+    }
 
-        MapboxCircle.__MONOSTATE.broadcast.on('suspendCircleFillListeners', this._onCircleFillSuspendEvents);
-        MapboxCircle.__MONOSTATE.broadcast.on('resumeCircleFillListeners', this._onCircleFillResumeEvents);
+    /**
+     * Stop listening to center handle events, unless it's what the circle is currently busy with.
+     * @param {number} instanceId ID of the circle instance that requested suspension.
+     * @param {string} typeOfHandle 'center' or 'radius'.
+     * @private
+     */
+    _onCenterHandleSuspendEvents(instanceId, typeOfHandle) {
+        if (instanceId !== this._instanceId || typeOfHandle === 'radius') {
+            this._unbindCenterHandleListeners();
+        }
     }
 
     /**
-     * Remove suspend/resume handlers from `__MONOSTATE.broadcast` emitter.
+     * Start listening to center handle events again, unless the circle was NOT among those targeted by suspend event.
+     * @param {number} instanceId ID of the circle instance that said it's time to resume listening.
+     * @param {string} typeOfHandle 'center' or 'radius'.
      * @private
      */
-    _unbindBroadcastListeners() {
-        MapboxCircle.__MONOSTATE.broadcast.removeListener(
-            'suspendCenterHandleListeners', this._onCenterHandleSuspendEvents);
-        MapboxCircle.__MONOSTATE.broadcast.removeListener(
-            'resumeCenterHandleListeners', this._onCenterHandleResumeEvents);
+    _onCenterHandleResumeEvents(instanceId, typeOfHandle) {
+        if (this.options.editCenter && (instanceId !== this._instanceId || typeOfHandle === 'radius')) {
+            this._bindCenterHandleListeners();
+        }
+    }
 
-        MapboxCircle.__MONOSTATE.broadcast.removeListener(
-            'suspendRadiusHandlesListeners', this._onRadiusHandlesSuspendEvents);
-        MapboxCircle.__MONOSTATE.broadcast.removeListener(
-            'resumeRadiusHandlesListeners', this._onRadiusHandlesResumeEvents);
+    /**
+     * Highlight center handle, disable panning and add mouse-move listener (emulating drag until mouse-up event).
+     * @private
+     */
+    _onCenterHandleMouseDown() {
+        if (this._getCursorStyle() !== 'move') {
+            /* Only trigger center edit event if the user expects it. */ return;
+        }
+        this._cancelTransition('center');
+        this._startGroupMove();
+        this._centerDragActive = true;
+        this._mapOnDebounced('mousemove', this._onCenterHandleMouseMove);
+        this.map.addLayer(this._getCenterHandleStrokeLayer(), this._circleCenterHandleId);
+        this._suspendHandleListeners('center');
+        this.map.once('mouseup', this._onCenterHandleMouseUpOrMapMouseOut);
+        this.map.once('mouseout', this._onCenterHandleMouseUpOrMapMouseOut); // Deactivate drag if mouse leaves canvas.
+        this._highlightHandles(this._circleCenterHandleId, 'move');
+        this._showDragLabel();
+        this._emitGroupDragEvent('centerdragstart');
+    }
 
-        MapboxCircle.__MONOSTATE.broadcast.removeListener(
-            'suspendCircleFillListeners', this._onCircleFillSuspendEvents);
-        MapboxCircle.__MONOSTATE.broadcast.removeListener(
-            'resumeCircleFillListeners', this._onCircleFillResumeEvents);
+    /**
+     * Start center drag if a single finger touches down on (or close to) the center handle.
+     *
+     * Bound in capture phase on the canvas container, so that map panning can be disabled before Mapbox GL's own
+     * drag-pan handler gets to see the event.
+     * @param {TouchEvent} event DOM touch event
+     * @private
+     */
+    _onCenterHandleTouchStart(event) {
+        if (event.touches.length !== 1 || this._centerDragActive ||
+            !this._touchPointOnLayer(this._getTouchPoint(event), this._circleCenterHandleId)) {
+            return;
+        }
+        event.preventDefault(); // No page scroll or emulated mouse events while dragging.
+        this._cancelTransition('center');
+        this._startGroupMove();
+        this._centerDragActive = true;
+        this._mapOnDebounced('touchmove', this._onCenterHandleMouseMove);
+        this.map.addLayer(this._getCenterHandleStrokeLayer(), this._circleCenterHandleId);
+        this._suspendHandleListeners('center');
+        this.map.once('touchend', this._onCenterHandleMouseUpOrMapMouseOut);
+        this.map.once('touchcancel', this._onCenterHandleMouseUpOrMapMouseOut);
+        this._highlightHandles(this._circleCenterHandleId, 'move');
+        this._showDragLabel();
+        this._emitGroupDragEvent('centerdragstart');
     }
 
     /**
-     * Add circle to `__MONOSTATE.activeEditableCircles` array and increase max broadcasting listeners by 1.
-     * @param {MapboxCircle} circleObject
+     * Animate circle center change after _onCenterHandleMouseDown or _onCenterHandleTouchStart triggers.
+     * @param {MapMouseEvent|MapTouchEvent} event
      * @private
      */
-    static _addActiveEditableCircle(circleObject) {
-        MapboxCircle.__MONOSTATE.activeEditableCircles.push(circleObject);
-        MapboxCircle.__MONOSTATE.broadcast.setMaxListeners(
-            MapboxCircle.__MONOSTATE.activeEditableCircles.length);
+    _onCenterHandleMouseMove(event) {
+        if (!this._centerDragActive) {
+            /* Debounced move after the drag finished. */ return;
+        }
+        const mousePoint = turfTruncate(turfHelpers.point(this._snapCenter(event)), 6);
+        this._constrained.center = null;
+        this.center = mousePoint.geometry.coordinates;
+        this._moveGroup();
+        this._updateDragLabel();
+        this._emitGroupDragEvent('centerdrag');
     }
 
     /**
-     * Remove circle from `__MONOSTATE.activeEditableCircles` array and decrease max broadcasting listeners by 1.
-     * @param {MapboxCircle} circleObject
+     * Remember the centers of the other selected circles when starting to move (drag or set) the center of a selected
+     * circle.
      * @private
      */
-    static _removeActiveEditableCircle(circleObject) {
-        MapboxCircle.__MONOSTATE.activeEditableCircles.splice(
-            MapboxCircle.__MONOSTATE.activeEditableCircles.indexOf(circleObject), 1);
-        MapboxCircle.__MONOSTATE.broadcast.setMaxListeners(
-            MapboxCircle.__MONOSTATE.activeEditableCircles.length);
+    _startGroupMove() {
+        this._groupMoveOrigin = [this._currentCenterLngLat[0], this._currentCenterLngLat[1]];
+        const grouped = this.isSelected() && !this._historyRestoring; // Undo/redo only restores this circle.
+        const circles = grouped ? _.without(MapboxCircle.getSelection(), this) : [];
+        this._groupMoveStart = circles.filter((circle) => circle.options.editCenter).map((circle) => {
+            circle._cancelTransition('center');
+            return {circle: circle, center: [circle.center[0], circle.center[1]]};
+        });
     }
 
     /**
-     * @return {Object} GeoJSON map source for the circle.
+     * Fire center drag event on the dragged circle and on the other selected circles moving along.
+     * @param {string} type `'centerdragstart'`, `'centerdrag'` or `'centerdragend'`
      * @private
      */
-    _getCircleMapSource() {
-        return {
-            type: 'geojson',
-            data: this._getCircleGeoJSON(),
-            buffer: 1
-        };
+    _emitGroupDragEvent(type) {
+        [this].concat(_.map(this._groupMoveStart, 'circle')).forEach((circle) => {
+            circle._eventEmitter.emit(type, circle, circle.getCenter());
+        });
     }
 
     /**
-     * @return {Object} GeoJSON map source for center handle.
+     * Fire `constrained` and `centerchanged` on this and the other selected circles once they are all in place, and
+     * forget the group move. `centerchanged` passes `{circles}`, all circles moved together.
      * @private
      */
-    _getCenterHandleMapSource() {
-        return {
-            type: 'geojson',
-            data: this._getCenterHandleGeoJSON(),
-            buffer: 1
-        };
+    _endGroupMove() {
+        const circles = [this].concat(_.map(this._groupMoveStart, 'circle'));
+        const movedCircles = circles.filter((circle) => {
+            return circle.center[0] !== circle._lastCenterLngLat[0] || circle.center[1] !== circle._lastCenterLngLat[1];
+        });
+        this._groupMoveStart = [];
+        circles.forEach((circle) => circle._emitConstrained('center'));
+        movedCircles.forEach((circle) => {
+            circle._eventEmitter.emit('centerchanged', circle, {circles: movedCircles.slice()});
+        });
     }
 
     /**
-     * @return {Object} GeoJSON map source for radius handles.
+     * Move the other selected circles by the same geodesic offset (distance and bearing) as the dragged center.
      * @private
      */
-    _getRadiusHandlesMapSource() {
-        return {
-            type: 'geojson',
-            data: this._getRadiusHandlesGeoJSON(),
-            buffer: 1
-        };
+    _moveGroup() {
+        const distance = turfDistance(this._groupMoveOrigin, this.center, 'radians');
+        const bearing = turfBearing(this._groupMoveOrigin, this.center);
+        this._groupMoveStart.forEach((start) => {
+            start.circle._constrained.center = null;
+            start.circle.center = distance > 0 ?
+                turfDestination(start.center, distance, bearing, 'radians').geometry.coordinates : start.center;
+        });
     }
 
     /**
-     * @return {Object} Style layer for the stroke around the circle.
+     * Returns true if snapping is disabled, or temporarily turned off by holding `options.snap.disableKey`.
+     * @param {MapMouseEvent|MapTouchEvent} event
+     * @return {boolean}
      * @private
      */
-    _getCircleStrokeLayer() {
-        return {
-            id: this._circleStrokeId,
-            type: 'line',
-            source: this._circleSourceId,
-            paint: {
-                'line-color': this.options.strokeColor,
-                'line-width': this.options.strokeWeight,
-                'line-opacity': this.options.strokeOpacity
-            },
-            filter: ['==', '$type', 'Polygon']
-        };
+    _snapDisabled(event) {
+        return !this.options.snap || !!event.originalEvent[this.options.snap.disableKey + 'Key'];
     }
 
     /**
-     * @return {Object} Style layer for the circle fill.
+     * Return center for drag event position, snapped to the nearest rendered feature on `options.snap.layers` within
+     * `options.snap.tolerance` pixels.
+     * @param {MapMouseEvent|MapTouchEvent} event
+     * @return {[number,number]} `[lng, lat]` coordinates
      * @private
      */
-    _getCircleFillLayer() {
-        return {
-            id: this._circleFillId,
-            type: 'fill',
-            source: this._circleSourceId,
-            paint: {
-                'fill-color': this.options.fillColor,
-                'fill-opacity': this.options.fillOpacity
-            },
-            filter: ['==', '$type', 'Polygon']
-        };
+    _snapCenter(event) {
+        const mouseLngLat = this.map.unproject(event.point).toArray();
+        if (this._snapDisabled(event) || !this.options.snap.layers) {
+            return mouseLngLat;
+        }
+
+        const tolerance = this.options.snap.tolerance;
+        const point = event.point;
+        // noinspection JSCheckFunctionSignatures
+        const features = this.map.queryRenderedFeatures(
+            [[point.x - tolerance, point.y - tolerance], [point.x + tolerance, point.y + tolerance]],
+            {layers: this.options.snap.layers});
+        const pixelDistance = (lngLat) => this.map.project(lngLat).dist(point);
+
+        const candidates = features.map((feature) => {
+            const geometry = feature.geometry;
+            switch (geometry.type) {
+                case 'Point':
+                    return geometry.coordinates;
+                case 'MultiPoint':
+                case 'LineString':
+                    return _.minBy(geometry.coordinates, pixelDistance);
+                case 'MultiLineString':
+                    return _.minBy(_.flatten(geometry.coordinates), pixelDistance);
+                case 'Polygon':
+                    return MapboxCircle._getSphericalCentroid(geometry.coordinates[0].slice(0, -1));
+                case 'MultiPolygon':
+                    return MapboxCircle._getSphericalCentroid(_.flatMap(geometry.coordinates, (polygon) => {
+                        return polygon[0].slice(0, -1);
+                    }));
+            }
+        }).filter((lngLat) => lngLat && pixelDistance(lngLat) <= tolerance);
+
+        return candidates.length > 0 ? _.minBy(candidates, pixelDistance) : mouseLngLat;
     }
 
     /**
-     * @return {Object} Style layer for the center handle's stroke.
+     * Return radius rounded to about a meter's precision, or snapped to `options.snap.radius` steps.
+     * @param {number} radius Radius, in `options.units`
+     * @param {MapMouseEvent|MapTouchEvent} event
+     * @return {number}
      * @private
      */
-    _getCenterHandleStrokeLayer() {
-        if (this._centerDragActive && this.radius < 10000) {
-            // Inspired by node_modules/mapbox-gl/src/ui/control/scale_control.js:getDistance
-            const y = this.map._container.clientHeight / 2;
-            const x = this.map._container.clientWidth;
-            const horizontalPixelsPerMeter = x / turfDistance(
-                this.map.unproject([0, y]).toArray(), this.map.unproject([x, y]).toArray(), 'meters');
-            return {
-                id: this._circleCenterHandleStrokeId,
-                type: 'circle',
-                source: this._circleCenterHandleSourceId,
-                paint: {
-                    'circle-radius': horizontalPixelsPerMeter * this.radius,
-                    'circle-opacity': 0,
-                    'circle-stroke-color': this.options.strokeColor,
-                    'circle-stroke-opacity': this.options.strokeOpacity * .5,
-                    'circle-stroke-width': this.options.strokeWeight
-                },
-                filter: ['==', '$type', 'Point']
-            };
-        } else {
-            return {
-                id: this._circleCenterHandleStrokeId,
-                type: 'line',
-                source: this._circleCenterHandleSourceId,
-                paint: {
-                    'line-color': this.options.strokeColor,
-                    'line-width': this.options.strokeWeight,
-                    'line-opacity': this.options.strokeOpacity * 0.5
-                },
-                filter: ['==', '$type', 'Polygon']
-            };
+    _snapRadius(radius, event) {
+        if (this._snapDisabled(event) || !this.options.snap.radius) {
+            return this._roundRadius(radius);
+        }
+
+        let step = this.options.snap.radius;
+        if (step === 'auto') {
+            // Smallest 1, 2 or 5 times a power of ten that spans at least 10 pixels at the current zoom level.
+            const metersPerPixel = 40075016.686 * Math.cos(turfHelpers.degrees2radians(this.center[1])) /
+                (512 * Math.pow(2, this.map.getZoom()));
+            const minStep = turfHelpers.convertDistance(metersPerPixel * 10, 'meters', this.options.units);
+            const magnitude = Math.pow(10, Math.floor(Math.log10(minStep)));
+            step = _.find([1, 2, 5, 10], (factor) => factor * magnitude >= minStep) * magnitude;
         }
+        return this._roundRadius(Math.max(Math.round(radius / step) * step, step));
     }
 
     /**
-     * @return {Object} Style layer for the radius handles' stroke.
+     * End a center drag in progress as if the mouse button was released, before the center handle goes away.
      * @private
      */
-    _getRadiusHandlesStrokeLayer() {
-        return {
-            id: this._circleRadiusHandlesStrokeId,
+    _finishCenterDrag() {
+        if (!this._centerDragActive) {
+            return;
+        }
+        ['mouseup', 'mouseout', 'touchend', 'touchcancel'].forEach((type) => {
+            this.map.off(type, this._onCenterHandleMouseUpOrMapMouseOut);
+        });
+        this._mapOffDebounced('touchmove', this._onCenterHandleMouseMove);
+        this._onCenterHandleMouseUpOrMapMouseOut({type: 'mouseup'});
+    }
+
+    /**
+     * Reset center handle, re-enable panning and remove listeners from _onCenterHandleMouseDown/TouchStart.
+     * @param {MapMouseEvent|MapTouchEvent} event
+     * @private
+     */
+    _onCenterHandleMouseUpOrMapMouseOut(event) {
+        if (event.type === 'mouseout') {
+            const toMarker = event.originalEvent.toElement.classList.contains('mapboxgl-marker');
+            const fromCanvas = event.originalEvent.fromElement.classList.contains('mapboxgl-canvas');
+
+            const toCanvas = event.originalEvent.toElement.classList.contains('mapboxgl-canvas');
+            const fromMarker = event.originalEvent.fromElement.classList.contains('mapboxgl-marker');
+
+            if ((fromCanvas && toMarker) || (fromMarker && toCanvas)) {
+                this.map.once('mouseout', this._onCenterHandleMouseUpOrMapMouseOut); // Add back 'once' handler.
+                return;
+            }
+        }
+
+        const newCenter = this.center;
+        this._centerDragActive = false;
+        this._mapOffDebounced(event.type.startsWith('touch') ? 'touchmove' : 'mousemove', this._onCenterHandleMouseMove);
+        switch (event.type) {
+            case 'mouseup': this.map.off('mouseout', this._onCenterHandleMouseUpOrMapMouseOut); break;
+            case 'mouseout': this.map.off('mouseup', this._onCenterHandleMouseUpOrMapMouseOut); break;
+            case 'touchend': this.map.off('touchcancel', this._onCenterHandleMouseUpOrMapMouseOut); break;
+            case 'touchcancel': this.map.off('touchend', this._onCenterHandleMouseUpOrMapMouseOut); break;
+        }
+        this._resumeHandleListeners('center');
+        this.map.removeLayer(this._circleCenterHandleStrokeId);
+        this._resetHandles(this._circleCenterHandleId);
+        const centerChanged = newCenter[0] !== this._lastCenterLngLat[0] || newCenter[1] !== this._lastCenterLngLat[1];
+        if (centerChanged) {
+            this.center = newCenter;
+        }
+        this._hideDragLabel();
+        this._emitGroupDragEvent('centerdragend');
+        this._endGroupMove();
+    }
+
+    /**
+     * Update _lastCenterLngLat on `centerchanged` event.
+     * @private
+     */
+    _onCenterChanged() {
+        this._lastCenterLngLat[0] = this.center[0];
+        this._lastCenterLngLat[1] = this.center[1];
+    }
+
+    /**
+     * Start center drag on mouse-down on the bound marker, which covers the center handle.
+     * @param {MouseEvent} event DOM mouse event
+     * @private
+     */
+    _onBoundMarkerMouseDown(event) {
+        if (!this.map || !this.options.editable || !this.options.editCenter || this._centerDragActive ||
+            event.button !== 0) {
+            return;
+        }
+        event.preventDefault();
+        this.map.getCanvas().style.cursor = 'move';
+        this._onCenterHandleMouseDown();
+    }
+
+    /**
+     * Move center to the bound marker if it was moved (with `setLngLat`, or dragged), as markers fire no move events
+     * (before Mapbox GL JS v0.47); polled on every animation frame.
+     * @private
+     */
+    _pollBoundMarker() {
+        const lngLat = this._boundMarker.getLngLat().toArray();
+        const moved = lngLat[0] !== this._boundMarkerLngLat[0] || lngLat[1] !== this._boundMarkerLngLat[1];
+        if (moved && (this.map || this._collection)) {
+            this.setCenter({lat: lngLat[1], lng: lngLat[0]});
+        }
+        this._boundMarkerFrame = requestAnimationFrame(this._pollBoundMarker);
+    }
+
+    /**
+     * Set center and radius from a geolocation position, see {@link #bindToGeolocation}. Until the circle is
+     * rendered, only the latest position is kept.
+     * @param {Position} position
+     * @private
+     */
+    _onGeolocation(position) {
+        if (!this.map && !this._collection) {
+            if (!this._deferredGeolocation) {
+                this.once('rendered', this._onDeferredGeolocation);
+            }
+            this._deferredGeolocation = position;
+            return;
+        }
+        const coords = position.coords;
+        this.setCenter({lat: coords.latitude, lng: coords.longitude}, this._geolocationOptions)
+            .setRadius(coords.accuracy, 'meters', this._geolocationOptions);
+    }
+
+    /**
+     * Apply the latest position received before the circle was rendered.
+     * @private
+     */
+    _onDeferredGeolocation() {
+        const position = this._deferredGeolocation;
+        this._deferredGeolocation = undefined;
+        this._onGeolocation(position);
+    }
+
+    /**
+     * Fire `geolocationerror`.
+     * @param {PositionError} error
+     * @private
+     */
+    _onGeolocationError(error) {
+        this._eventEmitter.emit('geolocationerror', this, error);
+    }
+
+    /**
+     * Reset center handle and re-enable panning, unless actively dragging.
+     * @private
+     */
+    _onCenterHandleMouseLeave() {
+        if (this._centerDragActive) {
+            setTimeout(() => { // If dragging, wait a bit to see if it just recently stopped.
+                if (!this._centerDragActive) this._resetHandles(this._circleCenterHandleId);
+            }, 125);
+        } else {
+            this._resetHandles(this._circleCenterHandleId);
+        }
+    }
+
+    /**
+     * @param {[number,number]} lngLat
+     * @return {Feature<Point>} Radius, inner radius, sector, axis or rotation handle closest to `lngLat`
+     * @private
+     */
+    _getNearestHandle(lngLat) {
+        return _.minBy(this._handles, (handle) => turfDistance(lngLat, handle.geometry.coordinates));
+    }
+
+    /**
+     * Return vertical or horizontal resize arrow depending on if mouse is at left-right or top-bottom edit handles.
+     * @param {MapMouseEvent} event
+     * @return {string} 'ew-resize' or 'ns-resize'
+     * @private
+     */
+    _getRadiusHandleCursorStyle(event) {
+        let bearing = turfBearing(event.lngLat.toArray(), this._currentCenterLngLat, true);
+        if (MapboxCircle._isBearingHandle(this._getNearestHandle(event.lngLat.toArray()).properties.handle)) {
+            bearing = (bearing + 90) % 360; // Sector and rotation handles are dragged around the center.
+        }
+
+        if (bearing > 270+45 || bearing <= 45) { // South.
+            return 'ns-resize';
+        }
+        if (bearing > 45 && bearing <= 90+45) { // West.
+            return 'ew-resize';
+        }
+        if (bearing > 90+45 && bearing <= 180+45) { // North.
+            return 'ns-resize';
+        }
+        if (bearing > 270-45 && bearing <= 270+45) { // East.
+            return 'ew-resize';
+        }
+    }
+
+    /**
+     * Highlight radius handles and disable panning.
+     * @param {MapMouseEvent} event
+     * @private
+     */
+    _onRadiusHandlesMouseEnter(event) {
+        this._highlightHandles(this._circleRadiusHandlesId, this._getRadiusHandleCursorStyle(event));
+    }
+
+    /**
+     * Stop listening to radius handles' events, unless it's what the circle is currently busy with.
+     * @param {number} instanceId ID of the circle instance that requested suspension.
+     * @param {string} typeOfHandle 'center' or 'radius'.
+     * @private
+     */
+    _onRadiusHandlesSuspendEvents(instanceId, typeOfHandle) {
+        if (instanceId !== this._instanceId || typeOfHandle === 'center') {
+            this._unbindRadiusHandlesListeners();
+        }
+    }
+
+    /**
+     * Start listening to radius handles' events again, unless the circle was NOT among those targeted by suspend event.
+     * @param {number} instanceId ID of the circle instance that said it's time to resume listening.
+     * @param {string} typeOfHandle 'center' or 'radius'.
+     * @private
+     */
+    _onRadiusHandlesResumeEvents(instanceId, typeOfHandle) {
+        if (this.options.editRadius && (instanceId !== this._instanceId || typeOfHandle === 'center')) {
+            this._bindRadiusHandlesListeners();
+        }
+    }
+
+    /**
+     * Start dragging the radius, inner radius, sector bearing, axis or rotation of the handle closest to the pointer.
+     * @param {[number,number]} lngLat Pointer position
+     * @private
+     */
+    _startRadiusDrag(lngLat) {
+        const handle = this._getNearestHandle(lngLat).properties.handle;
+        this._cancelTransition('radius');
+        this._editRadius = this._currentRadius;
+        this._editInnerRadius = this._currentInnerRadius;
+        this._innerRadiusDragActive = handle === 'innerRadius';
+        this._radiusDragHandle = handle;
+        this._radiusDragStart = this._getHistoryState();
+        this._radiusDragActive = true;
+        this._radiusDragBearing = turfBearing(this.center, lngLat);
+    }
+
+    /**
+     * Move the dragged sector bearing, or rotate the whole sector while Shift is held.
+     * @param {number} bearing Pointer bearing from the center
+     * @param {MapMouseEvent|MapTouchEvent} event
+     * @private
+     */
+    _dragSector(bearing, event) {
+        const span = this._getSectorSpan();
+        const rotate = event.originalEvent && event.originalEvent.shiftKey;
+        if (this._radiusDragHandle === 'startBearing') {
+            this._sector = MapboxCircle._getSector(bearing, rotate ? bearing + span : this._sector.endBearing);
+        } else {
+            this._sector = MapboxCircle._getSector(rotate ? bearing - span : this._sector.startBearing, bearing);
+        }
+        this._updateCircle();
+        this._animate();
+    }
+
+    /**
+     * @param {string} handle Radius handle type, see `properties.handle` of `_handles`
+     * @return {(number|Object)} Radius, inner radius, sector, axes or rotation edited by dragging the handle
+     * @private
+     */
+    _getRadiusHandleValue(handle) {
+        switch (RADIUS_HANDLE_EVENT_PREFIXES[handle]) {
+            case 'innerradius': return this.getInnerRadius();
+            case 'sector': return this.getSector();
+            case 'axes': return this.getAxes();
+            case 'rotation': return this.getRotation();
+            default: return this.getRadius();
+        }
+    }
+
+    /**
+     * @param {string} type `'dragstart'`, `'drag'` or `'dragend'`
+     * @private
+     */
+    _emitRadiusDragEvent(type) {
+        const handle = this._radiusDragHandle;
+        this._eventEmitter.emit(RADIUS_HANDLE_EVENT_PREFIXES[handle] + type, this, this._getRadiusHandleValue(handle));
+    }
+
+    /**
+     * Highlight radius handles, disable panning and add mouse-move listener (emulating drag until mouse-up event).
+     * @param {MapMouseEvent} event
+     * @private
+     */
+    _onRadiusHandlesMouseDown(event) {
+        if (!this._getCursorStyle().endsWith('-resize')) {
+            /* Only trigger radius edit event if the user expects it. */ return;
+        }
+        this._startRadiusDrag(event.lngLat.toArray());
+        this._mapOnDebounced('mousemove', this._onRadiusHandlesMouseMove);
+        this.map.addLayer(this._getRadiusHandlesStrokeLayer(), this._circleRadiusHandlesId);
+        this._suspendHandleListeners('radius');
+        this.map.once('mouseup', this._onRadiusHandlesMouseUpOrMapMouseOut);
+        this.map.once('mouseout', this._onRadiusHandlesMouseUpOrMapMouseOut); // Deactivate drag if mouse leaves canvas.
+        this._highlightHandles(this._circleRadiusHandlesId, this._getRadiusHandleCursorStyle(event));
+        this._showDragLabel();
+        this._emitRadiusDragEvent('dragstart');
+    }
+
+    /**
+     * Start radius drag if a single finger touches down on (or close to) one of the radius handles.
+     *
+     * Bound in capture phase on the canvas container, see _onCenterHandleTouchStart.
+     * @param {TouchEvent} event DOM touch event
+     * @private
+     */
+    _onRadiusHandlesTouchStart(event) {
+        if (event.touches.length !== 1 || this._radiusDragActive) {
+            return;
+        }
+        const touchPoint = this._getTouchPoint(event);
+        if (!this._touchPointOnLayer(touchPoint, this._circleRadiusHandlesId)) {
+            return;
+        }
+        event.preventDefault(); // No page scroll or emulated mouse events while dragging.
+        const touchLngLat = this.map.unproject([touchPoint.x, touchPoint.y]);
+        this._startRadiusDrag(touchLngLat.toArray());
+        this._mapOnDebounced('touchmove', this._onRadiusHandlesMouseMove);
+        this.map.addLayer(this._getRadiusHandlesStrokeLayer(), this._circleRadiusHandlesId);
+        this._suspendHandleListeners('radius');
+        this.map.once('touchend', this._onRadiusHandlesMouseUpOrMapMouseOut);
+        this.map.once('touchcancel', this._onRadiusHandlesMouseUpOrMapMouseOut);
+        this._highlightHandles(this._circleRadiusHandlesId, this._getRadiusHandleCursorStyle({lngLat: touchLngLat}));
+        this._showDragLabel();
+        this._emitRadiusDragEvent('dragstart');
+    }
+
+    /**
+     * Animate circle radius change after _onRadiusHandlesMouseDown or _onRadiusHandlesTouchStart triggers.
+     * @param {MapMouseEvent|MapTouchEvent} event
+     * @private
+     */
+    _onRadiusHandlesMouseMove(event) {
+        if (!this._radiusDragActive) {
+            /* Debounced move after the drag finished. */ return;
+        }
+        const mousePoint = this.map.unproject(event.point).toArray();
+        this._constrained.radius = null;
+        this._radiusDragBearing = turfBearing(this.center, mousePoint);
+        const newRadius = this._snapRadius(turfDistance(this.center, mousePoint, this.options.units), event);
+        switch (this._radiusDragHandle) {
+            case 'startBearing':
+            case 'endBearing': this._dragSector(this._radiusDragBearing, event); break;
+            case 'rotation': this.rotation = this._radiusDragBearing; break;
+            case 'semiMinor': this.semiMinor = newRadius; break;
+            case 'innerRadius': this.innerRadius = newRadius; break;
+            default: this.radius = newRadius;
+        }
+        this._updateDragLabel();
+        this._emitRadiusDragEvent('drag');
+    }
+
+    /**
+     * End a radius handle drag in progress as if the mouse button was released, before the radius handles go away.
+     * @private
+     */
+    _finishRadiusDrag() {
+        if (!this._radiusDragActive) {
+            return;
+        }
+        ['mouseup', 'mouseout', 'touchend', 'touchcancel'].forEach((type) => {
+            this.map.off(type, this._onRadiusHandlesMouseUpOrMapMouseOut);
+        });
+        this._mapOffDebounced('touchmove', this._onRadiusHandlesMouseMove);
+        this._onRadiusHandlesMouseUpOrMapMouseOut({type: 'mouseup'});
+    }
+
+    /**
+     * Reset radius handles, re-enable panning and remove listeners from _onRadiusHandlesMouseDown/TouchStart.
+     * @param {MapMouseEvent|MapTouchEvent} event
+     * @private
+     */
+    _onRadiusHandlesMouseUpOrMapMouseOut(event) {
+        if (event.type === 'mouseout') {
+            const toMarker = event.originalEvent.toElement.classList.contains('mapboxgl-marker');
+            const fromCanvas = event.originalEvent.fromElement.classList.contains('mapboxgl-canvas');
+
+            const toCanvas = event.originalEvent.toElement.classList.contains('mapboxgl-canvas');
+            const fromMarker = event.originalEvent.fromElement.classList.contains('mapboxgl-marker');
+
+            if ((fromCanvas && toMarker) || (fromMarker && toCanvas)) {
+                this.map.once('mouseout', this._onRadiusHandlesMouseUpOrMapMouseOut); // Add back 'once' handler.
+                return;
+            }
+        }
+
+        const handle = this._radiusDragHandle;
+        const newRadius = this.radius;
+        const newInnerRadius = this.innerRadius;
+        this._radiusDragActive = false;
+        this._innerRadiusDragActive = false;
+        this._mapOffDebounced(event.type.startsWith('touch') ? 'touchmove' : 'mousemove', this._onRadiusHandlesMouseMove);
+        this.map.removeLayer(this._circleRadiusHandlesStrokeId);
+        switch (event.type) {
+            case 'mouseup': this.map.off('mouseout', this._onRadiusHandlesMouseUpOrMapMouseOut); break;
+            case 'mouseout': this.map.off('mouseup', this._onRadiusHandlesMouseUpOrMapMouseOut); break;
+            case 'touchend': this.map.off('touchcancel', this._onRadiusHandlesMouseUpOrMapMouseOut); break;
+            case 'touchcancel': this.map.off('touchend', this._onRadiusHandlesMouseUpOrMapMouseOut); break;
+        }
+        this._resumeHandleListeners('radius');
+        this._resetHandles(this._circleRadiusHandlesId);
+        if (newRadius !== this._currentRadius) {
+            this.radius = newRadius;
+        }
+        if (newInnerRadius !== this._currentInnerRadius) {
+            this.innerRadius = newInnerRadius;
+        }
+        const changed = !_.isEqual(this._getHistoryState(), this._radiusDragStart);
+        if (changed) {
+            this._updateCircle();
+            this._animate();
+        }
+        this._hideDragLabel();
+        this._emitRadiusDragEvent('dragend');
+        this._emitConstrained('radius');
+        this._radiusDragHandle = null;
+        if (changed) {
+            this._eventEmitter.emit(RADIUS_HANDLE_EVENT_PREFIXES[handle] + 'changed', this);
+        }
+    }
+
+    /**
+     * Update _lastRadius on `radiuschanged` and `axeschanged` events.
+     * @private
+     */
+    _onRadiusChanged() {
+        this._lastRadius = this.radius;
+    }
+
+    /**
+     * Reset radius handles and re-enable panning, unless actively dragging.
+     * @private
+     */
+    _onRadiusHandlesMouseLeave() {
+        if (this._radiusDragActive) {
+            setTimeout(() => { // If dragging, wait a bit to see if it just recently stopped.
+                if (!this._radiusDragActive) this._resetHandles(this._circleRadiusHandlesId);
+            }, 125);
+        } else {
+            this._resetHandles(this._circleRadiusHandlesId);
+        }
+    }
+
+    /**
+     * @return {boolean} True if the circle fill reacts to clicks, with a `click` listener or by selecting the circle
+     * @private
+     */
+    _isClickable() {
+        return this._eventEmitter.listeners('click').length > 0 || (this.options.editable && this.options.selectable);
+    }
+
+    /**
+     * Set pointer cursor when moving over circle fill, and it's clickable.
+     * @param {MapMouseEvent} event
+     * @private
+     */
+    _onCircleFillMouseMove(event) {
+        if (this._isClickable() && !this._pointOnHandle(event.point)) {
+            event.target.getCanvas().style.cursor = 'pointer';
+        }
+    }
+
+    /**
+     * Stop listening to circle fill events.
+     * @private
+     */
+    _onCircleFillSuspendEvents() {
+        this._unbindCircleFillListeners();
+    }
+
+    /**
+     * Start listening to circle fill events again.
+     * @private
+     */
+    _onCircleFillResumeEvents() {
+        this._bindCircleFillListeners();
+    }
+
+    /**
+     * Fire 'contextmenu' event.
+     * @param {MapMouseEvent} event
+     * @private
+     */
+    _onCircleFillContextMenu(event) {
+        if (this._pointOnHandle(event.point)) {
+            /* No click events while on a center/radius edit handle. */ return;
+        }
+
+        if (event.originalEvent.ctrlKey && MapboxCircle._checkIfBrowserIsSafari()) {
+            // This hack comes from SPFAM-1090, aimed towards eliminating the extra 'click' event that's
+            // emitted by Safari when performing a right-click by holding the ctrl button.
+            this.__safariContextMenuEventHackEnabled = true;
+        } else {
+            this._eventEmitter.emit('contextmenu', event);
+        }
+    }
+
+    /**
+     * Fire 'click' event.
+     * @param {MapMouseEvent} event
+     * @private
+     */
+    _onCircleFillClick(event) {
+        if (this._pointOnHandle(event.point)) {
+            /* No click events while on a center/radius edit handle. */ return;
+        }
+
+        if (!this.__safariContextMenuEventHackEnabled) {
+            if (this.options.editable && this.options.selectable) {
+                this._onSelectClick(event);
+            }
+            this._eventEmitter.emit('click', event);
+        } else {
+            this._eventEmitter.emit('contextmenu', event);
+            this.__safariContextMenuEventHackEnabled = false;
+        }
+    }
+
+    /**
+     * Clear the selection of circles on the map when clicking (without shift) outside of all selectable circles.
+     * @param {MapMouseEvent} event
+     * @private
+     */
+    _onMapClick(event) {
+        const selection = MapboxCircle.getSelection();
+        if (!this.isSelected() || event.originalEvent.shiftKey) {
+            return;
+        }
+        const layers = _.flatMap(MapboxCircle.__MONOSTATE.activeEditableCircles, (circle) => {
+            return circle.map === this.map && circle.options.selectable ?
+                [circle._circleFillId, circle._circleCenterHandleId, circle._circleRadiusHandlesId] : [];
+        }).filter((layerId) => this.map.getLayer(layerId));
+        if (this.map.queryRenderedFeatures(event.point, {layers: layers}).length === 0) {
+            MapboxCircle.setSelection(selection.filter((circle) => circle.map !== this.map));
+        }
+    }
+
+    /**
+     * Select circle on click, or toggle it in the selection on shift-click.
+     * @param {MapMouseEvent} event
+     * @private
+     */
+    _onSelectClick(event) {
+        const selection = MapboxCircle.getSelection();
+        if (!event.originalEvent.shiftKey) {
+            MapboxCircle.setSelection([this]);
+        } else if (this.isSelected()) {
+            MapboxCircle.setSelection(_.without(selection, this));
+        } else {
+            MapboxCircle.setSelection(selection.concat(this));
+        }
+    }
+
+    /**
+     * Remove pointer cursor when leaving circle fill.
+     * @param {MapMouseEvent} event
+     * @private
+     */
+    _onCircleFillMouseLeave(event) {
+        if (this._isClickable() && !this._pointOnHandle(event.point)) {
+            event.target.getCanvas().style.cursor = '';
+        }
+    }
+
+    /**
+     * When map style is changed, remove circle assets from map and add it back on next MapboxGL 'styledata' event.
+     * @param {MapDataEvent} event
+     * @private
+     */
+    _onMapStyleDataLoading(event) {
+        if (this.map) {
+            this.map.once('styledata', () => {
+                // noinspection JSUnresolvedVariable
+                this.addTo(event.target);
+            });
+            this._removeFromMap();
+        }
+    }
+
+    /**
+     * @return {mapboxgl.Map} Map that the circle, or its collection, is added to.
+     * @private
+     */
+    _getQueryMap() {
+        const map = this.map || (this._collection && this._collection.map);
+        if (!map) {
+            throw new TypeError('MapboxCircle must be added to a map before querying features.');
+        }
+        return map;
+    }
+
+    /**
+     * @param {[number,number]} start Segment start
+     * @param {[number,number]} end Segment end
+     * @param {number} radius Meter radius
+     * @return {?[number,number]} Fractions where the great-circle segment enters and leaves the disk of given radius
+     *     around the center, if it does
+     * @private
+     */
+    _clipSegmentToRadius(start, end, radius) {
+        const isInside = (fraction) => {
+            return turfDistance(this.center, MapboxCircle._interpolateSegment(start, end, fraction), 'meters') <= radius;
+        };
+        const closest = MapboxCircle._getClosestSegmentFraction(this.center, start, end);
+        return MapboxCircle._clipSegmentInterval(isInside, closest);
+    }
+
+    /**
+     * @param {[number,number]} start Segment start
+     * @param {[number,number]} end Segment end
+     * @return {?[number,number]} Fractions where the great-circle segment enters and leaves the ellipse, if it does
+     * @private
+     */
+    _clipSegmentToEllipse(start, end) {
+        const isInside = (fraction) => {
+            return this._getEdgeRatio(MapboxCircle._interpolateSegment(start, end, fraction)) <= 1;
+        };
+        return MapboxCircle._clipSegmentInterval(isInside, this._getClosestEllipseSegmentFraction(start, end));
+    }
+
+    /**
+     * Return the position along a great-circle segment that is relatively closest to the ellipse center, see
+     * `_getEdgeRatio`. The edge ratio of an ellipse is convex along a line, so it is found by ternary search.
+     * @param {[number,number]} start Segment start
+     * @param {[number,number]} end Segment end
+     * @return {number} Position along the segment, from `0` (start) to `1` (end)
+     * @private
+     */
+    _getClosestEllipseSegmentFraction(start, end) {
+        const getRatio = (fraction) => this._getEdgeRatio(MapboxCircle._interpolateSegment(start, end, fraction));
+        let low = 0;
+        let high = 1;
+        for (let i = 0; i < 40; i++) {
+            const third = (high - low) / 3;
+            if (getRatio(low + third) < getRatio(high - third)) {
+                high -= third;
+            } else {
+                low += third;
+            }
+        }
+        return _.minBy([0, (low + high) / 2, 1], getRatio);
+    }
+
+    /**
+     * @param {Function} isInside Test if the position along a segment, from `0` to `1`, is inside the circle
+     * @param {number} closest Position along the segment closest to the center
+     * @return {?[number,number]} Fractions where the segment enters and leaves the circle, if it does
+     * @private
+     */
+    static _clipSegmentInterval(isInside, closest) {
+        const bisect = (outside, inside) => {
+            for (let i = 0; i < 30; i++) {
+                const middle = (outside + inside) / 2;
+                if (isInside(middle)) {
+                    inside = middle;
+                } else {
+                    outside = middle;
+                }
+            }
+            return inside;
+        };
+
+        if (!isInside(closest)) {
+            return null;
+        }
+        return [isInside(0) ? 0 : bisect(0, closest), isInside(1) ? 1 : bisect(1, closest)];
+    }
+
+    /**
+     * @param {[number,number]} start Segment start
+     * @param {[number,number]} end Segment end
+     * @return {Array<[number,number]>} Fraction intervals of the great-circle segment inside the circle; more than
+     *     one, if it crosses the hole of an annulus or leaves and re-enters a sector
+     * @private
+     */
+    _clipSegment(start, end) {
+        const outer = this._isEllipse() ?
+            this._clipSegmentToEllipse(start, end) : this._clipSegmentToRadius(start, end, this._radiusInMeters);
+        if (!outer) {
+            return [];
+        }
+        const hole = this.innerRadius > 0 ? this._clipSegmentToRadius(start, end, this._innerRadiusInMeters) : null;
+        if (!hole && !this._sector) {
+            return [outer];
+        }
+
+        // Split the segment where it crosses any edge, and keep the pieces whose middle is inside.
+        const crossings = this._sector ? this._getSectorEdgeCrossings(start, end) : [];
+        const fractions = _.sortBy(_.uniq(outer.concat(hole || [], crossings).filter((fraction) => {
+            return fraction >= outer[0] && fraction <= outer[1];
+        })));
+        const intervals = [];
+        for (let i = 1; i < fractions.length; i++) {
+            const middle = MapboxCircle._interpolateSegment(start, end, (fractions[i - 1] + fractions[i]) / 2);
+            if (this.containsPoint(middle)) {
+                const last = _.last(intervals);
+                if (last && last[1] === fractions[i - 1]) {
+                    last[1] = fractions[i];
+                } else {
+                    intervals.push([fractions[i - 1], fractions[i]]);
+                }
+            }
+        }
+        return intervals;
+    }
+
+    /**
+     * @param {Array<[number,number]>} line Line string coordinates
+     * @return {Array<Array<[number,number]>>} Parts of the line inside the circle
+     * @private
+     */
+    _clipLine(line) {
+        const parts = [];
+        let part = null;
+        for (let i = 1; i < line.length; i++) {
+            const intervals = this._clipSegment(line[i - 1], line[i]);
+            if (!intervals.length) {
+                part = null;
+            }
+            intervals.forEach((interval) => {
+                if (!part || interval[0] > 0) {
+                    part = [MapboxCircle._interpolateSegment(line[i - 1], line[i], interval[0])];
+                    parts.push(part);
+                }
+                part.push(MapboxCircle._interpolateSegment(line[i - 1], line[i], interval[1]));
+                if (interval[1] < 1) {
+                    part = null;
+                }
+            });
+        }
+        return parts;
+    }
+
+    /**
+     * @param {Feature} feature Feature returned by a Mapbox GL query
+     * @return {?Feature} Points inside the circle, lines clipped to the circle, or the intersecting polygon, if any
+     * @private
+     */
+    _clipFeature(feature) {
+        const geometry = feature.geometry;
+        let clippedGeometry;
+        switch (geometry.type) {
+            case 'Point':
+                return this.containsPoint(geometry.coordinates) ? feature : null;
+            case 'MultiPoint':
+                clippedGeometry = {
+                    type: 'MultiPoint',
+                    coordinates: geometry.coordinates.filter((coordinate) => this.containsPoint(coordinate))
+                };
+                break;
+            case 'LineString':
+            case 'MultiLineString': {
+                const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+                const parts = _.flatMap(lines, (line) => this._clipLine(line));
+                clippedGeometry = parts.length === 1 ?
+                    {type: 'LineString', coordinates: parts[0]} : {type: 'MultiLineString', coordinates: parts};
+                break;
+            }
+            default:
+                return this.intersects(geometry) ? feature : null;
+        }
+
+        if (!clippedGeometry.coordinates.length) {
+            return null;
+        }
+        return _.extend(feature.toJSON ? feature.toJSON() : _.clone(feature), {geometry: clippedGeometry});
+    }
+
+    /**
+     * @param {Array<Feature>} features
+     * @return {Object<string,Feature>} Features keyed by layer (or source) and feature ID (or properties)
+     * @private
+     */
+    _keyFeatures(features) {
+        return _.keyBy(features, (feature) => {
+            const id = feature.id !== undefined ? feature.id : JSON.stringify(feature.properties);
+            return (feature.layer ? feature.layer.id : feature.source) + '/' + id;
+        });
+    }
+
+    /**
+     * Take a snapshot of features inside the circle, for comparison on the next center/radius change.
+     * @private
+     */
+    _onFeaturesQueryRendered() {
+        this._queriedFeatures = this.options.featuresQuery ?
+            this._keyFeatures(this.queryRenderedFeatures(this.options.featuresQuery)) : undefined;
+    }
+
+    /**
+     * Fire `featureschanged` with features that entered and left the circle since the last snapshot.
+     * @private
+     */
+    _onFeaturesQueryChange() {
+        if (!this.options.featuresQuery || !(this.map || this._collection && this._collection.map)) {
+            return;
+        }
+
+        const previousFeatures = this._queriedFeatures || {};
+        const features = this._keyFeatures(this.queryRenderedFeatures(this.options.featuresQuery));
+        this._queriedFeatures = features;
+
+        const entered = _.values(_.omit(features, _.keys(previousFeatures)));
+        const left = _.values(_.omit(previousFeatures, _.keys(features)));
+        if (entered.length || left.length) {
+            this._eventEmitter.emit('featureschanged', this, {features: _.values(features), entered, left});
+        }
+    }
+
+    /**
+     * Fire `enter` or `exit` if a tracked position crossed the circle edge, and schedule `dwell` after entering.
+     * Positions enter when inside (or on the edge of) the circle, and exit when `options.trackHysteresis` outside.
+     * @param {Object} tracked Tracked position, see {@link #track}
+     * @private
+     */
+    _updateTracked(tracked) {
+        const distance = this.distanceTo(tracked.lngLat);
+        const inside = tracked.inside ? distance <= this.options.trackHysteresis : distance <= 0;
+        if (inside === tracked.inside) {
+            return;
+        }
+
+        tracked.inside = inside;
+        const getEvent = () => {
+            const lngLat = MapboxCircle._toLngLatArray(tracked.lngLat);
+            return {id: tracked.id, lngLat: {lat: lngLat[1], lng: lngLat[0]}};
+        };
+        clearTimeout(tracked.dwellTimeout);
+        if (inside) {
+            tracked.dwellTimeout = setTimeout(() => {
+                this._eventEmitter.emit('dwell', this, getEvent());
+            }, this.options.trackDwellTime);
+            this._eventEmitter.emit('enter', this, getEvent());
+        } else {
+            this._eventEmitter.emit('exit', this, getEvent());
+        }
+    }
+
+    /**
+     * Re-test tracked markers that moved since the last animation frame, as markers fire no move events (before
+     * Mapbox GL JS v0.47), and keep polling while any are tracked.
+     * @private
+     */
+    _pollTrackedMarkers() {
+        const trackedMarkers = _.filter(this._tracked, 'marker');
+        trackedMarkers.forEach((tracked) => {
+            const lngLat = tracked.marker.getLngLat().toArray();
+            if (lngLat[0] !== tracked.lngLat[0] || lngLat[1] !== tracked.lngLat[1]) {
+                tracked.lngLat = lngLat;
+                this._updateTracked(tracked);
+            }
+        });
+        this._trackedMarkersFrame = trackedMarkers.length ? requestAnimationFrame(this._pollTrackedMarkers) : undefined;
+    }
+
+    /**
+     * Re-test all tracked positions after center/radius changes.
+     * @private
+     */
+    _onTrackedChange() {
+        _.forEach(this._tracked, (tracked) => this._updateTracked(tracked));
+    }
+
+    /**
+     * @return {{center: [number,number], radius: number, innerRadius: number, sector: ?Object, semiMinor: ?number,
+     *     rotation: number}} Snapshot of current center, radii, sector and ellipse axes/rotation.
+     * @private
+     */
+    _getHistoryState() {
+        return {
+            center: [this.center[0], this.center[1]],
+            radius: this.radius,
+            innerRadius: this.innerRadius,
+            sector: this.getSector(),
+            semiMinor: this.semiMinor,
+            rotation: this.rotation
+        };
+    }
+
+    /**
+     * Record previous center/radii/sector/axes/rotation in undo history on `centerchanged`, `radiuschanged`,
+     * `innerradiuschanged`, `sectorchanged`, `axeschanged` and `rotationchanged` events.
+     * @private
+     */
+    _onHistoryChange() {
+        const state = this._getHistoryState();
+        if (this._historyRestoring || _.isEqual(state, this._historyState)) {
+            return;
+        }
+
+        if (this.options.historyDepth > 0) {
+            this._undoHistory.push(this._historyState);
+            this._undoHistory.splice(0, this._undoHistory.length - this.options.historyDepth);
+            this._redoHistory = [];
+        }
+        this._historyState = state;
+        MapboxCircle.__MONOSTATE.lastChangedCircle = this;
+        this._eventEmitter.emit('historychanged', this);
+    }
+
+    /**
+     * Apply center/radii/sector/axes/rotation from undo/redo history.
+     * @param {Object} state See `_getHistoryState`
+     * @private
+     */
+    _restoreHistoryState(state) {
+        this._historyRestoring = true;
+        if (this.map || this._collection) {
+            this._applyState(state);
+        } else { // The setters would only apply the state once rendered, recording it as a new change.
+            this._applyStateDirectly(state);
+        }
+        this._historyRestoring = false;
+
+        this._historyState = state;
+        MapboxCircle.__MONOSTATE.lastChangedCircle = this;
+        this._eventEmitter.emit('historychanged', this);
+    }
+
+    /**
+     * Set center/radii/sector/axes/rotation, in an order that keeps each step valid.
+     * @param {Object} state See `_getHistoryState`
+     * @private
+     */
+    _applyState(state) {
+        this.setCenter({lat: state.center[1], lng: state.center[0]});
+        if (state.semiMinor === null) { // Back to a circle first, as an ellipse can't be an annulus or sector.
+            this.setAxes(this.radius, null);
+        }
+        if (state.radius < this.innerRadius) { // Shrink the hole first, as the radius is clamped to the inner radius.
+            this.setInnerRadius(state.innerRadius).setRadius(state.radius);
+        } else {
+            this.setRadius(state.radius).setInnerRadius(state.innerRadius);
+        }
+        this.setSector(_.get(state.sector, 'startBearing', null), _.get(state.sector, 'endBearing', null));
+        if (state.semiMinor !== null) {
+            this.setAxes(state.radius, state.semiMinor);
+        }
+        this.setRotation(state.rotation);
+    }
+
+    /**
+     * Set center/radii/sector/axes/rotation of a circle that is not rendered right away, firing the change events
+     * that the setters fire.
+     * @param {Object} state See `_getHistoryState`
+     * @private
+     */
+    _applyStateDirectly(state) {
+        const lastState = this._getHistoryState();
+        this._currentCenterLngLat[0] = state.center[0];
+        this._currentCenterLngLat[1] = state.center[1];
+        this._currentRadius = state.radius;
+        this._currentInnerRadius = state.innerRadius;
+        this._sector = MapboxCircle._getSector(_.get(state.sector, 'startBearing'), _.get(state.sector, 'endBearing'));
+        this._currentSemiMinor = state.semiMinor;
+        this._currentRotation = state.rotation;
+        if (this._boundMarker) {
+            this._boundMarkerLngLat = [this.center[0], this.center[1]];
+            this._boundMarker.setLngLat(this._boundMarkerLngLat);
+        }
+        this._updateCircle();
+
+        const events = {
+            center: 'centerchanged', radius: 'radiuschanged', innerRadius: 'innerradiuschanged',
+            sector: 'sectorchanged', semiMinor: 'axeschanged', rotation: 'rotationchanged'
+        };
+        _.forEach(events, (event, property) => {
+            if (!_.isEqual(state[property], lastState[property])) {
+                this._eventEmitter.emit(event, this);
+            }
+        });
+    }
+
+    /**
+     * Undo/redo on Ctrl+Z/Ctrl+Y, if this was the most recently changed circle.
+     * @param {KeyboardEvent} event
+     * @private
+     */
+    _onMapKeyDown(event) {
+        if (MapboxCircle.__MONOSTATE.lastChangedCircle !== this || !(event.ctrlKey || event.metaKey)) {
+            return;
+        }
+
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.undo();
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            this.redo();
+        }
+    }
+
+    /**
+     * @return {string} Human readable description of circle center and radius, for screen readers.
+     * @private
+     */
+    _getKeyboardDescription() {
+        const center = ', center ' + this.center[1].toFixed(5) + ', ' + this.center[0].toFixed(5);
+        const units = ' ' + this.options.units;
+        if (this._isEllipse()) {
+            return 'Ellipse' + center + ', semi-major axis ' + this.radius + units +
+                ', semi-minor axis ' + this.semiMinor + units + ', rotation ' + this.rotation + ' degrees';
+        }
+        return 'Circle' + center + ', radius ' + this.radius + units +
+            (this.innerRadius > 0 ? ', inner radius ' + this.innerRadius + units : '') +
+            (this._sector ? ', sector ' + this._sector.startBearing + ' to ' + this._sector.endBearing + ' degrees' : '');
+    }
+
+    /**
+     * Highlight edit handles and remember center/radii/sector/axes/rotation, for Escape to revert to.
+     * @private
+     */
+    _onKeyboardFocus() {
+        this._keyboardFocusState = this._getHistoryState();
+        [this._circleCenterHandleId, this._circleRadiusHandlesId].forEach((layerId) => {
+            if (this.map.getLayer(layerId)) {
+                this.map.setPaintProperty(layerId, 'circle-color', this.options.fillColor);
+            }
+        });
+    }
+
+    /**
+     * Restore edit handles' fill color.
+     * @private
+     */
+    _onKeyboardBlur() {
+        [this._circleCenterHandleId, this._circleRadiusHandlesId].forEach((layerId) => {
+            if (this.map && this.map.getLayer(layerId)) {
+                this.map.setPaintProperty(layerId, 'circle-color', '#ffffff');
+            }
+        });
+    }
+
+    /**
+     * Move center with arrow keys, change radius with `+`/`-` and revert changes with Escape.
+     * @param {KeyboardEvent} event
+     * @private
+     */
+    _onKeyboardKeyDown(event) {
+        const centerStep = this.options.keyboardCenterStep || this.radius / 10;
+        const radiusStep = this.options.keyboardRadiusStep || this.radius / 10;
+        const bearing = {ArrowUp: 0, ArrowRight: 90, ArrowDown: 180, ArrowLeft: -90}[event.key];
+
+        if (bearing !== undefined && this.options.editCenter) {
+            const newCenter = turfDestination(
+                this.center, centerStep, bearing, this.options.units).geometry.coordinates;
+            this.setCenter({lat: newCenter[1], lng: newCenter[0]});
+        } else if ((event.key === '+' || event.key === '=') && this.options.editRadius) {
+            this.setRadius(Math.min(this.radius + radiusStep, this.options.maxRadius));
+        } else if ((event.key === '-' || event.key === '_') && this.options.editRadius) {
+            this.setRadius(Math.max(this.radius - radiusStep, this.options.minRadius));
+        } else if (event.key === 'Escape' || event.key === 'Esc') {
+            this._applyState(this._keyboardFocusState);
+            this._keyboardEl.blur();
+        } else {
+            return;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+        this._keyboardEl.setAttribute('aria-label', this._getKeyboardDescription());
+        this._liveRegionEl.textContent = this._getKeyboardDescription();
+    }
+
+    /**
+     * Add visually hidden, focusable element and ARIA live region for keyboard editing to map container.
+     * @param {mapboxgl.Map} map
+     * @private
+     */
+    _addKeyboardElements(map) {
+        this._keyboardEl = document.createElement('div');
+        this._keyboardEl.tabIndex = 0;
+        this._keyboardEl.setAttribute('role', 'application');
+        this._keyboardEl.setAttribute('aria-roledescription', 'editable circle');
+        this._keyboardEl.setAttribute('aria-label', this._getKeyboardDescription());
+
+        this._liveRegionEl = document.createElement('div');
+        this._liveRegionEl.setAttribute('role', 'status');
+        this._liveRegionEl.setAttribute('aria-live', 'polite');
+
+        [this._keyboardEl, this._liveRegionEl].forEach((element) => {
+            _.extend(element.style, {
+                position: 'absolute',
+                width: '1px',
+                height: '1px',
+                margin: '-1px',
+                overflow: 'hidden',
+                clip: 'rect(0 0 0 0)',
+                whiteSpace: 'nowrap'
+            });
+            map.getContainer().appendChild(element);
+        });
+
+        this._keyboardEl.addEventListener('focus', this._onKeyboardFocus);
+        this._keyboardEl.addEventListener('blur', this._onKeyboardBlur);
+        this._keyboardEl.addEventListener('keydown', this._onKeyboardKeyDown);
+    }
+
+    /**
+     * Remove keyboard editing elements from map container.
+     * @private
+     */
+    _removeKeyboardElements() {
+        this._keyboardEl.removeEventListener('focus', this._onKeyboardFocus);
+        this._keyboardEl.removeEventListener('blur', this._onKeyboardBlur);
+        this._keyboardEl.removeEventListener('keydown', this._onKeyboardKeyDown);
+
+        [this._keyboardEl, this._liveRegionEl].forEach((element) => {
+            if (element.parentNode) {
+                element.parentNode.removeChild(element);
+            }
+        });
+        this._keyboardEl = this._liveRegionEl = undefined;
+    }
+
+    /**
+     * Add all static listeners for center handle.
+     * @param {mapboxgl.Map} [map]
+     * @private
+     */
+    _bindCenterHandleListeners(map) {
+        map = map || this.map;
+        const layerId = this._circleCenterHandleId;
+        map.on('mouseenter', layerId, this._onCenterHandleMouseEnter);
+        map.on('mousedown', layerId, this._onCenterHandleMouseDown);
+        map.on('mouseleave', layerId, this._onCenterHandleMouseLeave);
+        map.getCanvasContainer().addEventListener('touchstart', this._onCenterHandleTouchStart, true);
+    }
+
+    /**
+     * Remove all static listeners for center handle.
+     * @param {mapboxgl.Map} [map]
+     * @private
+     */
+    _unbindCenterHandleListeners(map) {
+        map = map || this.map;
+        const layerId = this._circleCenterHandleId;
+        map.off('mouseenter', layerId, this._onCenterHandleMouseEnter);
+        map.off('mousedown', layerId, this._onCenterHandleMouseDown);
+        map.off('mouseleave', layerId, this._onCenterHandleMouseLeave);
+        map.getCanvasContainer().removeEventListener('touchstart', this._onCenterHandleTouchStart, true);
+    }
+
+    /**
+     * Add all static listeners for radius handles.
+     * @param {mapboxgl.Map} [map]
+     * @private
+     */
+    _bindRadiusHandlesListeners(map) {
+        map = map || this.map;
+        const layerId = this._circleRadiusHandlesId;
+        map.on('mouseenter', layerId, this._onRadiusHandlesMouseEnter);
+        map.on('mousedown', layerId, this._onRadiusHandlesMouseDown);
+        map.on('mouseleave', layerId, this._onRadiusHandlesMouseLeave);
+        map.getCanvasContainer().addEventListener('touchstart', this._onRadiusHandlesTouchStart, true);
+    }
+
+    /**
+     * Remove all static listeners for radius handles.
+     * @param {mapboxgl.Map} [map]
+     * @private
+     */
+    _unbindRadiusHandlesListeners(map) {
+        map = map || this.map;
+        const layerId = this._circleRadiusHandlesId;
+        map.off('mouseenter', layerId, this._onRadiusHandlesMouseEnter);
+        map.off('mousedown', layerId, this._onRadiusHandlesMouseDown);
+        map.off('mouseleave', layerId, this._onRadiusHandlesMouseLeave);
+        map.getCanvasContainer().removeEventListener('touchstart', this._onRadiusHandlesTouchStart, true);
+    }
+
+    /**
+     * Add all click/contextmenu listeners for circle fill layer.
+     * @param {mapboxgl.Map} [map]
+     * @private
+     */
+    _bindCircleFillListeners(map) {
+        map = map || this.map;
+        const layerId = this._circleFillId;
+        map.on('click', layerId, this._onCircleFillClick);
+        map.on('contextmenu', layerId, this._onCircleFillContextMenu);
+        map.on('mousemove', layerId, this._onCircleFillMouseMove);
+        map.on('mouseleave', layerId, this._onCircleFillMouseLeave);
+    }
+
+    /**
+     * Remove all click/contextmenu listeners for circle fill.
+     * @param {mapboxgl.Map} [map]
+     * @private
+     */
+    _unbindCircleFillListeners(map) {
+        map = map || this.map;
+        const layerId = this._circleFillId;
+        map.off('click', layerId, this._onCircleFillClick);
+        map.off('contextmenu', layerId, this._onCircleFillContextMenu);
+        map.off('mousemove', layerId, this._onCircleFillMouseMove);
+        map.off('mouseleave', layerId, this._onCircleFillMouseLeave);
+    }
+
+    /**
+     * Add suspend/resume listeners for `__MONOSTATE.broadcast` event emitter.
+     * @private
+     */
+    _bindBroadcastListeners() {
+        MapboxCircle.__MONOSTATE.broadcast.on('suspendCenterHandleListeners', this._onCenterHandleSuspendEvents);
+        MapboxCircle.__MONOSTATE.broadcast.on('resumeCenterHandleListeners', this._onCenterHandleResumeEvents);
+
+        MapboxCircle.__MONOSTATE.broadcast.on('suspendRadiusHandlesListeners', this._onRadiusHandlesSuspendEvents);
+        MapboxCircle.__MONOSTATE.broadcast.on('resumeRadiusHandlesListeners', this._onRadiusHandlesResumeEvents);
+
+        MapboxCircle.__MONOSTATE.broadcast.on('suspendCircleFillListeners', this._onCircleFillSuspendEvents);
+        MapboxCircle.__MONOSTATE.broadcast.on('resumeCircleFillListeners', this._onCircleFillResumeEvents);
+    }
+
+    /**
+     * Remove suspend/resume handlers from `__MONOSTATE.broadcast` emitter.
+     * @private
+     */
+    _unbindBroadcastListeners() {
+        MapboxCircle.__MONOSTATE.broadcast.removeListener(
+            'suspendCenterHandleListeners', this._onCenterHandleSuspendEvents);
+        MapboxCircle.__MONOSTATE.broadcast.removeListener(
+            'resumeCenterHandleListeners', this._onCenterHandleResumeEvents);
+
+        MapboxCircle.__MONOSTATE.broadcast.removeListener(
+            'suspendRadiusHandlesListeners', this._onRadiusHandlesSuspendEvents);
+        MapboxCircle.__MONOSTATE.broadcast.removeListener(
+            'resumeRadiusHandlesListeners', this._onRadiusHandlesResumeEvents);
+
+        MapboxCircle.__MONOSTATE.broadcast.removeListener(
+            'suspendCircleFillListeners', this._onCircleFillSuspendEvents);
+        MapboxCircle.__MONOSTATE.broadcast.removeListener(
+            'resumeCircleFillListeners', this._onCircleFillResumeEvents);
+    }
+
+    /**
+     * Add circle to `__MONOSTATE.activeEditableCircles` array and increase max broadcasting listeners by 1.
+     * @param {MapboxCircle} circleObject
+     * @private
+     */
+    static _addActiveEditableCircle(circleObject) {
+        MapboxCircle.__MONOSTATE.activeEditableCircles.push(circleObject);
+        MapboxCircle.__MONOSTATE.broadcast.setMaxListeners(
+            MapboxCircle.__MONOSTATE.activeEditableCircles.length);
+    }
+
+    /**
+     * Remove circle from `__MONOSTATE.activeEditableCircles` array and decrease max broadcasting listeners by 1.
+     * @param {MapboxCircle} circleObject
+     * @private
+     */
+    static _removeActiveEditableCircle(circleObject) {
+        MapboxCircle.__MONOSTATE.activeEditableCircles.splice(
+            MapboxCircle.__MONOSTATE.activeEditableCircles.indexOf(circleObject), 1);
+        MapboxCircle.__MONOSTATE.broadcast.setMaxListeners(
+            MapboxCircle.__MONOSTATE.activeEditableCircles.length);
+        if (circleObject.isSelected()) {
+            MapboxCircle.setSelection(_.without(MapboxCircle.__MONOSTATE.selection, circleObject));
+        }
+    }
+
+    /**
+     * @return {Array<MapboxCircle>} Selected circles, in order of selection
+     * @public
+     */
+    static getSelection() {
+        return MapboxCircle.__MONOSTATE.selection.slice();
+    }
+
+    /**
+     * Replace the selection, highlighting the selected circles and firing `selectionchange` on every circle that got
+     * selected or deselected. Moving the center of a selected circle moves all selected circles, firing center drag
+     * events on every dragged circle and `centerchanged` with `{circles}` once all moved circles are in place.
+     * @param {Array<MapboxCircle>} circles Editable circles, added to a map; `[]` to clear the selection
+     * @public
+     */
+    static setSelection(circles) {
+        circles = _.uniq(circles);
+        if (!_.every(circles, (circle) => MapboxCircle.__MONOSTATE.activeEditableCircles.indexOf(circle) > -1)) {
+            throw new TypeError('Only editable MapboxCircle added to a map can be selected.');
+        }
+        const changedCircles = _.xor(MapboxCircle.__MONOSTATE.selection, circles);
+        MapboxCircle.__MONOSTATE.selection = circles;
+        changedCircles.forEach((circle) => {
+            if (circle.map) {
+                circle._updatePaintProperties();
+            }
+        });
+        changedCircles.forEach((circle) => {
+            circle._eventEmitter.emit('selectionchange', circle, {
+                selected: circle.isSelected(),
+                selection: MapboxCircle.getSelection()
+            });
+        });
+    }
+
+    /**
+     * @return {Object} GeoJSON map source for the circle.
+     * @private
+     */
+    _getCircleMapSource() {
+        return {
+            type: 'geojson',
+            data: this._getCircleGeoJSON(),
+            buffer: 1
+        };
+    }
+
+    /**
+     * @return {Object} GeoJSON map source for center handle.
+     * @private
+     */
+    _getCenterHandleMapSource() {
+        return {
+            type: 'geojson',
+            data: this._getCenterHandleGeoJSON(),
+            buffer: 1
+        };
+    }
+
+    /**
+     * @return {Object} GeoJSON map source for radius handles.
+     * @private
+     */
+    _getRadiusHandlesMapSource() {
+        return {
+            type: 'geojson',
+            data: this._getRadiusHandlesGeoJSON(),
+            buffer: 1
+        };
+    }
+
+    /**
+     * @return {Object} Style layer for the stroke around the circle.
+     * @private
+     */
+    _getCircleStrokeLayer() {
+        return {
+            id: this._circleStrokeId,
+            type: 'line',
+            source: this._circleSourceId,
+            paint: {
+                'line-color': this.isSelected() ? this.options.selectionColor : this.options.strokeColor,
+                'line-width': this.isSelected() ? this.options.strokeWeight + 2 : this.options.strokeWeight,
+                'line-opacity': this.options.strokeOpacity
+            },
+            filter: ['all', ['==', '$type', 'LineString'], ['!has', 'ripple']]
+        };
+    }
+
+    /**
+     * @return {Object} Style layer for the rings of the ripple animation, fading out by their `ripple` property.
+     * @private
+     */
+    _getCircleRippleLayer() {
+        return {
+            id: this._circleRippleId,
+            type: 'line',
+            source: this._circleSourceId,
+            paint: {
+                'line-color': this.options.strokeColor,
+                'line-width': this.options.strokeWeight * 2,
+                'line-opacity': ['*', ['get', 'ripple'], this.options.strokeOpacity]
+            },
+            filter: ['has', 'ripple']
+        };
+    }
+
+    /**
+     * @return {Object} Style layer for the circle fill.
+     * @private
+     */
+    _getCircleFillLayer() {
+        return {
+            id: this._circleFillId,
+            type: 'fill',
+            source: this._circleSourceId,
+            paint: {
+                'fill-color': this.options.fillColor,
+                'fill-opacity': this.options.fillOpacity
+            },
+            filter: ['==', '$type', 'Polygon']
+        };
+    }
+
+    /**
+     * @return {Object} Style layer for the center handle's stroke.
+     * @private
+     */
+    _getCenterHandleStrokeLayer() {
+        if (this._centerDragActive && this._radiusInMeters < 10000) {
+            // Inspired by node_modules/mapbox-gl/src/ui/control/scale_control.js:getDistance
+            const y = this.map._container.clientHeight / 2;
+            const x = this.map._container.clientWidth;
+            const horizontalPixelsPerMeter = x / turfDistance(
+                this.map.unproject([0, y]).toArray(), this.map.unproject([x, y]).toArray(), 'meters');
+            return {
+                id: this._circleCenterHandleStrokeId,
+                type: 'circle',
+                source: this._circleCenterHandleSourceId,
+                paint: {
+                    'circle-radius': horizontalPixelsPerMeter * this._radiusInMeters,
+                    'circle-opacity': 0,
+                    'circle-stroke-color': this.options.strokeColor,
+                    'circle-stroke-opacity': this.options.strokeOpacity * .5,
+                    'circle-stroke-width': this.options.strokeWeight
+                },
+                filter: ['==', '$type', 'Point']
+            };
+        } else {
+            return {
+                id: this._circleCenterHandleStrokeId,
+                type: 'line',
+                source: this._circleCenterHandleSourceId,
+                paint: {
+                    'line-color': this.options.strokeColor,
+                    'line-width': this.options.strokeWeight,
+                    'line-opacity': this.options.strokeOpacity * 0.5
+                },
+                filter: ['==', '$type', 'LineString']
+            };
+        }
+    }
+
+    /**
+     * @return {Object} Style layer for the radius handles' stroke.
+     * @private
+     */
+    _getRadiusHandlesStrokeLayer() {
+        return {
+            id: this._circleRadiusHandlesStrokeId,
             type: 'line',
             source: this._circleRadiusHandlesSourceId,
             paint: {
@@ -1075,305 +3372,1371 @@ class MapboxCircle {
                 'line-width': this.options.strokeWeight,
                 'line-opacity': this.options.strokeOpacity * 0.5
             },
-            filter: ['==', '$type', 'Polygon']
+            filter: ['==', '$type', 'LineString']
+        };
+    }
+
+    /**
+     * @return {Object} Default paint style for edit handles.
+     * @private
+     */
+    _getEditHandleDefaultPaintOptions() {
+        return {
+            'circle-color': '#ffffff',
+            'circle-radius': 3.75,
+            'circle-stroke-color': this.options.strokeColor,
+            'circle-stroke-opacity': this.options.strokeOpacity,
+            'circle-stroke-width': this.options.strokeWeight
+        };
+    }
+
+    /**
+     * @return {Object} Style layer for the circle's center handle.
+     * @private
+     */
+    _getCircleCenterHandleLayer() {
+        return {
+            id: this._circleCenterHandleId,
+            type: 'circle',
+            source: this._circleCenterHandleSourceId,
+            paint: this._getEditHandleDefaultPaintOptions(),
+            filter: ['==', '$type', 'Point']
+        };
+    }
+
+    /**
+     * @return {Object} Style layer for the circle's radius handles.
+     * @private
+     */
+    _getCircleRadiusHandlesLayer() {
+        return {
+            id: this._circleRadiusHandlesId,
+            type: 'circle',
+            source: this._circleRadiusHandlesSourceId,
+            paint: this._getEditHandleDefaultPaintOptions(),
+            filter: ['==', '$type', 'Point']
+        };
+    }
+
+    /**
+     * Re-apply paint properties from `this.options` on all circle layers currently present on the map.
+     * @private
+     */
+    _updatePaintProperties() {
+        const setPaintProperties = (layer) => {
+            if (!this.map.getLayer(layer.id)) {
+                return;
+            }
+            Object.keys(layer.paint).forEach((property) => {
+                if (property === 'circle-color' && this.map.getPaintProperty(layer.id, property) !== '#ffffff') {
+                    // Edit handle is currently highlighted, see _highlightHandles.
+                    this.map.setPaintProperty(layer.id, property, this.options.fillColor);
+                } else {
+                    this.map.setPaintProperty(layer.id, property, layer.paint[property]);
+                }
+            });
+        };
+
+        setPaintProperties(this._getCircleStrokeLayer());
+        setPaintProperties(this._getCircleFillLayer());
+        setPaintProperties(this._getCircleRippleLayer());
+        if (this.options.editable) {
+            setPaintProperties(this._getCircleCenterHandleLayer());
+            setPaintProperties(this._getCircleRadiusHandlesLayer());
+            setPaintProperties(this._getCenterHandleStrokeLayer());
+            setPaintProperties(this._getRadiusHandlesStrokeLayer());
+        }
+    }
+
+    /**
+     * @return {string} Current cursor style
+     * @private
+     */
+    _getCursorStyle() {
+        return this.map.getCanvas().style.cursor;
+    }
+
+    /**
+     * Subscribe to circle event.
+     * @param {string} event Event name; `click`, `contextmenu`, `centerchanged`, `radiuschanged`,
+     *     `innerradiuschanged`, `sectorchanged`, `axeschanged`, `rotationchanged`, `editablechanged`,
+     *     `historychanged`, `centerdragstart`, `centerdrag`, `centerdragend`, `radiusdragstart`, `radiusdrag`,
+     *     `radiusdragend`, `innerradiusdragstart`, `innerradiusdrag`, `innerradiusdragend`, `sectordragstart`,
+     *     `sectordrag`, `sectordragend`, `axesdragstart`, `axesdrag`, `axesdragend`, `rotationdragstart`,
+     *     `rotationdrag`, `rotationdragend`, `transitionend`, `featureschanged`, `enter`, `exit`, `dwell`,
+     *     `geolocationerror`, `constrained` or `selectionchange`
+     * @param {Function} fn Event handler, invoked with a *MapMouseEvent* on *'click'* and *'contextmenu'* events,
+     *     otherwise with the target circle as first argument; drag events also pass the in-progress center
+     *     `{lat, lng}`, radius, `{startBearing, endBearing}`, `{semiMajor, semiMinor}` or rotation as second argument,
+     *     `featureschanged` passes `{features, entered, left}`, `transitionend` passes `{property, cancelled}`, and
+     *     `enter`, `exit` and `dwell` pass `{id, lngLat}` of the tracked position; `constrained` passes
+     *     `{property: 'center', lngLat}` or `{property: 'radius', radius}` with the clipped value,
+     *     `selectionchange` passes `{selected, selection}`, and `centerchanged` passes `{circles}`, the circles moved
+     *     together (more than one when moving a selection)
+     * @param {?boolean} [onlyOnce=false] Remove handler after first call
+     * @return {MapboxCircle}
+     * @public
+     */
+    on(event, fn, onlyOnce) {
+        if (onlyOnce) {
+            this._eventEmitter.once(event, fn);
+        } else {
+            this._eventEmitter.addListener(event, fn);
+        }
+        return this;
+    }
+
+    /**
+     * Alias for registering event listener with *onlyOnce=true*, see {@link #on}.
+     * @param {string} event Event name
+     * @param {Function} fn Event handler
+     * @return {MapboxCircle}
+     * @public
+     */
+    once(event, fn) {
+        return this.on(event, fn, true);
+    }
+
+    /**
+     * Unsubscribe to circle event.
+     * @param {string} event Event name
+     * @param {Function} fn Handler to be removed
+     * @return {MapboxCircle}
+     * @public
+     */
+    off(event, fn) {
+        this._eventEmitter.removeListener(event, fn);
+        return this;
+    }
+
+    /**
+     * Add center/radius handle sources, layers and listeners, and register circle as editable.
+     * @param {mapboxgl.Map} map
+     * @private
+     */
+    _addEditHandles(map) {
+        if (this.options.editCenter) {
+            this._addCenterHandle(map);
+        }
+        if (this.options.editRadius) {
+            this._addRadiusHandles(map);
+        }
+
+        MapboxCircle._addActiveEditableCircle(this);
+        this._bindBroadcastListeners();
+        map.on('click', this._onMapClick);
+
+        if (this.options.keyboard) {
+            this._addKeyboardElements(map);
+        }
+    }
+
+    /**
+     * Remove center/radius handle sources, layers and listeners, and unregister circle as editable.
+     * @private
+     */
+    _removeEditHandles() {
+        this._finishCenterDrag();
+        this._finishRadiusDrag();
+        if (this._keyboardEl) {
+            this._removeKeyboardElements();
+        }
+
+        this.map.off('click', this._onMapClick);
+        this._unbindBroadcastListeners();
+        MapboxCircle._removeActiveEditableCircle(this);
+
+        this._removeRadiusHandles();
+        this._removeCenterHandle();
+    }
+
+    /**
+     * Add center handle source, layer (below any radius handles) and listeners.
+     * @param {mapboxgl.Map} map
+     * @private
+     */
+    _addCenterHandle(map) {
+        map.addSource(this._circleCenterHandleSourceId, this._getCenterHandleMapSource());
+        map.addLayer(this._getCircleCenterHandleLayer(),
+            map.getLayer(this._circleRadiusHandlesId) ? this._circleRadiusHandlesId : undefined);
+        this._bindCenterHandleListeners(map);
+    }
+
+    /**
+     * Remove center handle source, layer and listeners.
+     * @private
+     */
+    _removeCenterHandle() {
+        this._unbindCenterHandleListeners();
+        if (this.map.getLayer(this._circleCenterHandleId)) {
+            this.map.removeLayer(this._circleCenterHandleId);
+        }
+        if (this.map.getSource(this._circleCenterHandleSourceId)) {
+            this.map.removeSource(this._circleCenterHandleSourceId);
+        }
+    }
+
+    /**
+     * Add radius handles source, layer and listeners.
+     * @param {mapboxgl.Map} map
+     * @private
+     */
+    _addRadiusHandles(map) {
+        map.addSource(this._circleRadiusHandlesSourceId, this._getRadiusHandlesMapSource());
+        map.addLayer(this._getCircleRadiusHandlesLayer());
+        this._bindRadiusHandlesListeners(map);
+    }
+
+    /**
+     * Remove radius handles source, layer and listeners.
+     * @private
+     */
+    _removeRadiusHandles() {
+        this._unbindRadiusHandlesListeners();
+        if (this.map.getLayer(this._circleRadiusHandlesId)) {
+            this.map.removeLayer(this._circleRadiusHandlesId);
+        }
+        if (this.map.getSource(this._circleRadiusHandlesSourceId)) {
+            this.map.removeSource(this._circleRadiusHandlesSourceId);
+        }
+    }
+
+    /**
+     * Let the user draw a circle on the map: press (or touch) to set the center, drag to set the radius (previewing
+     * the circle) and release to finish; Escape cancels. Map panning is disabled while drawing.
+     *
+     * Returns a `Promise`, which older browsers need a polyfill for; without one, pass `callback` instead.
+     * @example
+     * MapboxCircle.draw(myMapboxGlMap, {fillColor: '#29AB87'}).then(function (myCircle) {
+     *     if (myCircle) {
+     *         myCircle.on('radiuschanged', function (circleObj) {
+     *             console.log('New radius:', circleObj.getRadius());
+     *         });
+     *     }
+     * });
+     * @param {mapboxgl.Map} map Map to draw on
+     * @param {?Object} options Circle options, see {@link MapboxCircle}; the circle is made editable once drawn
+     * @param {?Function} [callback] Invoked with the drawn circle, or with `null` if cancelled
+     * @return {?Promise<?MapboxCircle>} Drawn circle, added to the map; `null` if cancelled
+     * @public
+     */
+    static draw(map, options, callback) {
+        let resolve = _.noop;
+        const promise = typeof Promise === 'function' ? new Promise((promiseResolve) => {
+            resolve = promiseResolve;
+        }) : undefined;
+        options = _.extend({}, options, {editable: false});
+        const dragPanEnabled = map.dragPan.isEnabled();
+        let preview = undefined;
+
+        const onMove = (event) => {
+            if (preview.map) {
+                preview.radius = turfDistance(preview.center, event.lngLat.toArray(), preview.options.units);
+            }
+        };
+        const finish = (circle) => {
+            map.off('mousedown', onStart);
+            map.off('touchstart', onStart);
+            ['mousemove', 'touchmove'].forEach((type) => map.off(type, onMove));
+            ['mouseup', 'mouseout', 'touchend', 'touchcancel'].forEach((type) => map.off(type, onEnd));
+            document.removeEventListener('keydown', onKeyDown);
+            map.getCanvas().style.cursor = '';
+            if (dragPanEnabled) {
+                map.dragPan.enable();
+            }
+            if (preview && preview.map) {
+                preview.remove();
+            }
+            resolve(circle);
+            if (callback) {
+                callback(circle);
+            }
+        };
+        const onEnd = () => { // Also ends drawing if the mouse leaves the canvas.
+            const radius = preview.radius;
+            const center = preview.center;
+            finish(new MapboxCircle(center, radius, _.extend(options, {editable: true})).addTo(map));
+        };
+        const onStart = (event) => {
+            const isTouch = event.type === 'touchstart';
+            if (isTouch ? event.originalEvent.touches.length !== 1 : event.originalEvent.button !== 0) {
+                return;
+            }
+            try {
+                preview = new MapboxCircle(event.lngLat, 1, options);
+            } catch (error) {
+                return; // Pressed outside `options.constrainTo`.
+            }
+            if (isTouch) {
+                event.originalEvent.preventDefault(); // No page scroll or emulated mouse events while drawing.
+            }
+            preview.addTo(map);
+            onMove(event); // Start out at `minRadius`.
+            map.off('mousedown', onStart);
+            map.off('touchstart', onStart);
+            if (isTouch) {
+                map.on('touchmove', onMove);
+                map.on('touchend', onEnd);
+                map.on('touchcancel', onEnd);
+            } else {
+                map.on('mousemove', onMove);
+                map.on('mouseup', onEnd);
+                map.on('mouseout', onEnd);
+            }
+        };
+        const onKeyDown = (event) => {
+            if (event.key === 'Escape' || event.key === 'Esc') {
+                finish(null);
+            }
+        };
+
+        map.dragPan.disable();
+        map.getCanvas().style.cursor = 'crosshair';
+        map.on('mousedown', onStart);
+        map.on('touchstart', onStart);
+        document.addEventListener('keydown', onKeyDown);
+        return promise;
+    }
+
+    /**
+     * @param {mapboxgl.Map} map Target map for adding and initializing circle Mapbox GL layers/data/listeners.
+     * @param {?string} [before='waterway-label'] Layer ID to insert the circle layers before; explicitly pass `null` to
+     *     get the circle assets appended at the end of map-layers array
+     * @return {MapboxCircle}
+     * @public
+     */
+    addTo(map, before) {
+        if (this._collection) {
+            throw new TypeError('MapboxCircle already added to a collection.');
+        }
+        if (typeof before === 'undefined' && map.getLayer('waterway-label')) {
+            before = 'waterway-label';
+        }
+        const addCircleAssetsOnMap = () => {
+            map.addSource(this._circleSourceId, this._getCircleMapSource());
+
+            map.addLayer(this._getCircleStrokeLayer(), before);
+            map.addLayer(this._getCircleFillLayer(), before);
+            this._bindCircleFillListeners(map);
+            map.on('zoomend', this._onZoomEnd);
+
+            if (this.options.editable) {
+                this._addEditHandles(map);
+            }
+
+            map.on('styledataloading', this._onMapStyleDataLoading);
+
+            if (this.options.historyKeyboard) {
+                map.getCanvasContainer().addEventListener('keydown', this._onMapKeyDown);
+            }
+
+            const target = map.getContainer();
+            this.observer = new MutationObserver((mutations) => {
+                mutations.forEach((mutation) => {
+                    const removedNodes = Array.from(mutation.removedNodes);
+                    const directMatch = removedNodes.indexOf(target) > -1;
+                    const parentMatch = removedNodes.some((parent) => parent.contains(target));
+                    if (directMatch || parentMatch) {
+                        this.remove();
+                    }
+                });
+            });
+
+            let config = {
+                subtree: true,
+                childList: true
+            };
+            this.observer.observe(document.body, config);
+            this.map = map;
+            this.zoom = map.getZoom();
+            if (this._animationActive) {
+                this._runAnimation();
+            }
+            this._eventEmitter.emit('rendered', this);
+        };
+
+        // noinspection JSUnresolvedVariable
+        if (map._loaded) {
+            if (map.isStyleLoaded()) {
+                addCircleAssetsOnMap();
+            } else {
+                map.once('render', addCircleAssetsOnMap);
+            }
+        } else {
+            map.once('load', addCircleAssetsOnMap);
+        }
+
+        return this;
+    }
+
+    /**
+     * Remove source data, layers and listeners from map, stop tracking positions (see {@link #track}) and unbind
+     * any marker or geolocation feed (see {@link #bindTo} and {@link #bindToGeolocation}). A circle in a
+     * {@link MapboxCircleCollection} is removed from the collection.
+     * @return {MapboxCircle}
+     * @public
+     */
+    remove() {
+        this.bindTo(null).bindToGeolocation(null);
+        _.keys(this._tracked).forEach((id) => this.untrack(id));
+        cancelAnimationFrame(this._trackedMarkersFrame);
+        this._trackedMarkersFrame = undefined;
+        if (this._collection) {
+            this._cancelTransition('center');
+            this._cancelTransition('radius');
+            this._collection.removeCircle(this);
+            return this;
+        }
+        return this._removeFromMap();
+    }
+
+    /**
+     * Remove source data, layers and listeners from map, keeping the circle's own state for adding it back.
+     * @return {MapboxCircle}
+     * @private
+     */
+    _removeFromMap() {
+        this._cancelTransition('center');
+        this._cancelTransition('radius');
+        this._haltAnimation();
+        this.map.off('styledataloading', this._onMapStyleDataLoading);
+        this.map.getCanvasContainer().removeEventListener('keydown', this._onMapKeyDown);
+
+        this.observer.disconnect();
+
+        if (this.options.editable) {
+            this._removeEditHandles();
+        }
+
+        this.map.off('zoomend', this._onZoomEnd);
+        this._unbindCircleFillListeners();
+        if (this.map.getLayer(this._circleFillId)) {
+            this.map.removeLayer(this._circleFillId);
+        }
+        if (this.map.getLayer(this._circleStrokeId)) {
+            this.map.removeLayer(this._circleStrokeId);
+        }
+
+        if (this.map.getSource(this._circleSourceId)) {
+            this.map.removeSource(this._circleSourceId);
+        }
+
+        this.map = null;
+
+        return this;
+    }
+
+    /**
+     * @return {{lat: number, lng: number}} Circle center position
+     * @public
+     */
+    getCenter() {
+        return {lat: this.center[1], lng: this.center[0]};
+    }
+
+    /**
+     * Move the circle, right away or animated along the great circle to the new center. Running center transitions
+     * are cancelled by a new call or by dragging the center handle, firing `transitionend` with `cancelled: true`;
+     * unless cancelled by a new call, `centerchanged` fires for the center reached.
+     * @param {{lat: number, lng: number}} position
+     * @param {?Object} options
+     * @param {?boolean} [options.animate=false] Animate the change, firing `centerchanged` and `transitionend` once
+     *     done
+     * @param {?number} [options.duration=500] Animation duration, in milliseconds
+     * @param {?Function} [options.easing] Easing function, mapping progress from `0` to `1`; defaults to ease-in-out
+     * @return {MapboxCircle}
+     * @public
+     */
+    setCenter(position, options) {
+        const moveTo = (center) => {
+            this.center = center;
+            this._moveGroup();
+        };
+        const applyUpdate = () => {
+            moveTo([position.lng, position.lat]);
+            this._endGroupMove();
+        };
+        const startAndApplyUpdate = () => {
+            this._startGroupMove();
+            applyUpdate();
+        };
+
+        this._cancelTransition('center', true);
+        this._constrained.center = null;
+        if ((this.map || this._collection) && options && options.animate) {
+            const start = [this.center[0], this.center[1]];
+            const end = [position.lng, position.lat];
+            this._startGroupMove();
+            this._startTransition('center', options, (fraction) => {
+                moveTo(MapboxCircle._interpolateSegment(start, end, fraction));
+            }, applyUpdate, () => this._endGroupMove());
+        } else if (this.map || this._collection) {
+            startAndApplyUpdate();
+        } else {
+            this.on('rendered', startAndApplyUpdate, true);
+        }
+
+        return this;
+    }
+
+    /**
+     * @param {?string} [units=options.units] Unit to return radius in, e.g. `'miles'`
+     * @return {number} Current radius
+     * @public
+     */
+    getRadius(units) {
+        return units ? turfHelpers.convertDistance(this.radius, this.options.units, units) : this.radius;
+    }
+
+    /**
+     * Keep a marker at the circle center, and the circle center at the marker: moving the marker (with `setLngLat`,
+     * checked on every animation frame) moves the circle, firing `centerchanged`. Dragging the marker of an editable
+     * circle drags its center, like the center handle that the marker covers. {@link #remove} unbinds the marker.
+     * @param {?mapboxgl.Marker} marker Marker, moved to the circle center right away; `null` to unbind
+     * @return {MapboxCircle}
+     * @public
+     */
+    bindTo(marker) {
+        if (this._boundMarker) {
+            this._boundMarker.getElement().removeEventListener('mousedown', this._onBoundMarkerMouseDown);
+            cancelAnimationFrame(this._boundMarkerFrame);
+            this._boundMarkerFrame = undefined;
+        }
+        this._boundMarker = marker || undefined;
+        if (marker) {
+            this._boundMarkerLngLat = [this.center[0], this.center[1]];
+            marker.setLngLat(this._boundMarkerLngLat);
+            marker.getElement().addEventListener('mousedown', this._onBoundMarkerMouseDown);
+            this._boundMarkerFrame = requestAnimationFrame(this._pollBoundMarker);
+        }
+        return this;
+    }
+
+    /**
+     * Follow a geolocation feed like an accuracy halo, setting the center to each position and the radius to its
+     * `coords.accuracy` (within `minRadius` and `maxRadius`). Errors are passed on as `geolocationerror` events.
+     * {@link #remove} unbinds the feed.
+     * @param {?(Geolocation|mapboxgl.GeolocateControl)} source `navigator.geolocation` (watched with high accuracy),
+     *     or a control firing `geolocate` and `error` events; `null` to unbind
+     * @param {?Object} options Animation options for center and radius updates, see {@link #setCenter}
+     * @return {MapboxCircle}
+     * @public
+     */
+    bindToGeolocation(source, options) {
+        if (this._unbindGeolocation) {
+            this._unbindGeolocation();
+            this._unbindGeolocation = undefined;
+        }
+        if (this._deferredGeolocation) {
+            this.off('rendered', this._onDeferredGeolocation);
+            this._deferredGeolocation = undefined;
+        }
+        this._geolocationOptions = options;
+        if (source && typeof source.watchPosition === 'function') {
+            const watchId = source.watchPosition(this._onGeolocation, this._onGeolocationError,
+                {enableHighAccuracy: true});
+            this._unbindGeolocation = () => source.clearWatch(watchId);
+        } else if (source) {
+            source.on('geolocate', this._onGeolocation).on('error', this._onGeolocationError);
+            this._unbindGeolocation = () => {
+                source.off('geolocate', this._onGeolocation).off('error', this._onGeolocationError);
+            };
+        }
+        return this;
+    }
+
+    /**
+     * Resize the circle, right away or animated. Running radius transitions are cancelled by a new call or by dragging
+     * a radius handle, like {@link #setCenter}.
+     * @example
+     * myCircle.setRadius(2, 'kilometers', {animate: true});
+     * myCircle.setRadius(2000, {animate: true, duration: 1000});
+     * @param {number} newRadius Radius, in `units`
+     * @param {?(string|Object)} [units=options.units] Unit of `newRadius`, e.g. `'miles'`; may be left out, passing
+     *     `options` in its place
+     * @param {?Object} options Animation options, see {@link #setCenter}
+     * @return {MapboxCircle}
+     * @public
+     */
+    setRadius(newRadius, units, options) {
+        if (_.isObject(units)) {
+            options = units;
+            units = undefined;
+        }
+        if (units) {
+            newRadius = turfHelpers.convertDistance(newRadius, units, this.options.units);
+        }
+        newRadius = this._roundRadius(newRadius);
+        const applyUpdate = () => {
+            this.radius = newRadius;
+            this._emitConstrained('radius');
+            if (this._lastRadius !== this.radius) { // `this.radius =` subject to min/max limits and `constrainTo`.
+                this._eventEmitter.emit('radiuschanged', this);
+            }
+        };
+
+        this._cancelTransition('radius', true);
+        this._constrained.radius = null;
+        if ((this.map || this._collection) && options && options.animate) {
+            const start = this.radius;
+            this._startTransition('radius', options, (fraction) => {
+                this.radius = start + (newRadius - start) * fraction;
+            }, applyUpdate, () => {
+                this.radius = this._roundRadius(this.radius);
+                this._emitConstrained('radius');
+                if (this._lastRadius !== this.radius) {
+                    this._eventEmitter.emit('radiuschanged', this);
+                }
+            });
+        } else if (this.map || this._collection) {
+            applyUpdate();
+        } else {
+            this.on('rendered', applyUpdate, true);
+        }
+
+        return this;
+    }
+
+    /**
+     * @param {?string} [units=options.units] Unit to return inner radius in, e.g. `'miles'`
+     * @return {number} Current inner radius, `0` unless the circle is an annulus
+     * @public
+     */
+    getInnerRadius(units) {
+        return units ? turfHelpers.convertDistance(this.innerRadius, this.options.units, units) : this.innerRadius;
+    }
+
+    /**
+     * Make the circle an annulus (ring), clamping the inner radius between `minRadius` and the (outer) radius.
+     * @param {number} newInnerRadius Inner radius, in `units`; `0` for a full circle
+     * @param {?string} [units=options.units] Unit of `newInnerRadius`, e.g. `'miles'`
+     * @return {MapboxCircle}
+     * @public
+     */
+    setInnerRadius(newInnerRadius, units) {
+        if (newInnerRadius > 0 && this._isEllipse()) {
+            throw new TypeError('MapboxCircle ellipse can not be an annulus.');
+        }
+        if (units) {
+            newInnerRadius = turfHelpers.convertDistance(newInnerRadius, units, this.options.units);
+        }
+        newInnerRadius = this._roundRadius(newInnerRadius);
+        const applyUpdate = () => {
+            const lastInnerRadius = this.innerRadius;
+            this.innerRadius = newInnerRadius;
+            if (this.innerRadius !== lastInnerRadius) {
+                this._eventEmitter.emit('innerradiuschanged', this);
+            }
+        };
+
+        if (this.map || this._collection) {
+            applyUpdate();
+        } else {
+            this.on('rendered', applyUpdate, true);
+        }
+
+        return this;
+    }
+
+    /**
+     * @return {?{startBearing: number, endBearing: number}} Sector bearings, in degrees `[0, 360)`; `null` for a full
+     *     circle
+     * @public
+     */
+    getSector() {
+        return this._sector ? _.clone(this._sector) : null;
+    }
+
+    /**
+     * Make the circle a sector (wedge), from `startBearing` clockwise to `endBearing`.
+     * @param {?number} startBearing Start bearing, in degrees clockwise from north; `null` for a full circle
+     * @param {?number} endBearing End bearing, in degrees clockwise from north; `null` for a full circle
+     * @return {MapboxCircle}
+     * @public
+     */
+    setSector(startBearing, endBearing) {
+        const newSector = MapboxCircle._getSector(startBearing, endBearing);
+        if (newSector && this._isEllipse()) {
+            throw new TypeError('MapboxCircle ellipse can not be a sector.');
+        }
+        const applyUpdate = () => {
+            if (!_.isEqual(newSector, this._sector)) {
+                this._sector = newSector;
+                this._updateCircle();
+                this._animate();
+                this._eventEmitter.emit('sectorchanged', this);
+            }
+        };
+
+        if (this.map || this._collection) {
+            applyUpdate();
+        } else {
+            this.on('rendered', applyUpdate, true);
+        }
+
+        return this;
+    }
+
+    /**
+     * @param {?string} [units=options.units] Unit to return axes in, e.g. `'miles'`
+     * @return {{semiMajor: number, semiMinor: number}} Current semi-axes; both equal to the radius, unless the circle
+     *     is an ellipse
+     * @public
+     */
+    getAxes(units) {
+        const semiMinor = this.semiMinor || this.radius;
+        return {
+            semiMajor: this.getRadius(units),
+            semiMinor: units ? turfHelpers.convertDistance(semiMinor, this.options.units, units) : semiMinor
+        };
+    }
+
+    /**
+     * Make the circle an ellipse, with the radius as its semi-major axis. The semi-minor axis is clamped between
+     * `minRadius` and the semi-major axis.
+     * @param {number} semiMajor Semi-major axis, in `units`
+     * @param {?number} semiMinor Semi-minor axis, in `units`; `null` for a circle
+     * @param {?string} [units=options.units] Unit of `semiMajor` and `semiMinor`, e.g. `'miles'`
+     * @return {MapboxCircle}
+     * @public
+     */
+    setAxes(semiMajor, semiMinor, units) {
+        if (typeof semiMinor === 'number' && (this.innerRadius > 0 || this._sector)) {
+            throw new TypeError('MapboxCircle ellipse can not be an annulus or sector.');
+        }
+        const convert = (distance) => {
+            if (units) {
+                distance = turfHelpers.convertDistance(distance, units, this.options.units);
+            }
+            return this._roundRadius(distance);
+        };
+        const newSemiMajor = convert(semiMajor);
+        const newSemiMinor = typeof semiMinor === 'number' ? convert(semiMinor) : null;
+        const applyUpdate = () => {
+            this._cancelTransition('radius', true);
+            const lastAxes = [this.radius, this.semiMinor];
+            this._currentSemiMinor = null; // Unclamp the radius, see `radius` setter.
+            this._constrained.radius = null;
+            this.radius = newSemiMajor;
+            this.semiMinor = newSemiMinor;
+            this._emitConstrained('radius');
+            if (!_.isEqual([this.radius, this.semiMinor], lastAxes)) {
+                this._eventEmitter.emit('axeschanged', this);
+            }
+        };
+
+        if (this.map || this._collection) {
+            applyUpdate();
+        } else {
+            this.on('rendered', applyUpdate, true);
+        }
+
+        return this;
+    }
+
+    /**
+     * @return {number} Bearing of the ellipse major axis, in degrees `[0, 360)` clockwise from north
+     * @public
+     */
+    getRotation() {
+        return this.rotation;
+    }
+
+    /**
+     * Rotate the ellipse.
+     * @param {number} rotation Bearing of the ellipse major axis, in degrees clockwise from north
+     * @return {MapboxCircle}
+     * @public
+     */
+    setRotation(rotation) {
+        const newRotation = MapboxCircle._normalizeBearing(rotation);
+        const applyUpdate = () => {
+            if (newRotation !== this.rotation) {
+                this.rotation = newRotation;
+                this._eventEmitter.emit('rotationchanged', this);
+            }
         };
+
+        if (this.map || this._collection) {
+            applyUpdate();
+        } else {
+            this.on('rendered', applyUpdate, true);
+        }
+
+        return this;
+    }
+
+    /**
+     * @return {boolean} `true` if there are center/radius changes to undo
+     * @public
+     */
+    canUndo() {
+        return this._undoHistory.length > 0;
+    }
+
+    /**
+     * @return {boolean} `true` if there are undone center/radius changes to redo
+     * @public
+     */
+    canRedo() {
+        return this._redoHistory.length > 0;
+    }
+
+    /**
+     * Revert the last center/radius change, whether by dragging or {@link #setCenter}/{@link #setRadius}.
+     * @return {MapboxCircle}
+     * @public
+     */
+    undo() {
+        if (this.canUndo()) {
+            this._redoHistory.push(this._getHistoryState());
+            this._restoreHistoryState(this._undoHistory.pop());
+        }
+        return this;
+    }
+
+    /**
+     * Re-apply the last center/radius change reverted by {@link #undo}.
+     * @return {MapboxCircle}
+     * @public
+     */
+    redo() {
+        if (this.canRedo()) {
+            this._undoHistory.push(this._getHistoryState());
+            this._restoreHistoryState(this._redoHistory.pop());
+        }
+        return this;
+    }
+
+    /**
+     * Forget all undo/redo history.
+     * @return {MapboxCircle}
+     * @public
+     */
+    clearHistory() {
+        this._undoHistory = [];
+        this._redoHistory = [];
+        this._eventEmitter.emit('historychanged', this);
+        return this;
+    }
+
+    /**
+     * @return {boolean} `true` if center/radius edit handles are enabled
+     * @public
+     */
+    getEditable() {
+        return this.options.editable;
+    }
+
+    /**
+     * @return {boolean} `true` if an editable circle can be moved
+     * @public
+     */
+    getEditCenter() {
+        return this.options.editCenter;
     }
 
     /**
-     * @return {Object} Default paint style for edit handles.
-     * @private
+     * Show or hide the center handle, allowing or preventing the user from moving an editable circle. Hiding finishes
+     * a center drag in progress.
+     * @param {boolean} editCenter
+     * @return {MapboxCircle}
+     * @public
      */
-    _getEditHandleDefaultPaintOptions() {
-        return {
-            'circle-color': '#ffffff',
-            'circle-radius': 3.75,
-            'circle-stroke-color': this.options.strokeColor,
-            'circle-stroke-opacity': this.options.strokeOpacity,
-            'circle-stroke-width': this.options.strokeWeight
-        };
+    setEditCenter(editCenter) {
+        editCenter = !!editCenter;
+        if (editCenter === this.options.editCenter) {
+            return this;
+        }
+
+        this.options.editCenter = editCenter;
+        if (this.map && this.options.editable && editCenter) {
+            this._updateCircle(); // Calculate handle positions.
+            this._addCenterHandle(this.map);
+        } else if (this.map && this.options.editable) {
+            this._finishCenterDrag();
+            this._removeCenterHandle();
+        }
+
+        this._eventEmitter.emit('editablechanged', this);
+        return this;
     }
 
     /**
-     * @return {Object} Style layer for the circle's center handle.
-     * @private
+     * @return {boolean} `true` if an editable circle can be resized
+     * @public
      */
-    _getCircleCenterHandleLayer() {
-        return {
-            id: this._circleCenterHandleId,
-            type: 'circle',
-            source: this._circleCenterHandleSourceId,
-            paint: this._getEditHandleDefaultPaintOptions(),
-            filter: ['==', '$type', 'Point']
-        };
+    getEditRadius() {
+        return this.options.editRadius;
     }
 
     /**
-     * @return {Object} Style layer for the circle's radius handles.
-     * @private
+     * Show or hide the radius handles, allowing or preventing the user from resizing (or reshaping) an editable
+     * circle. Hiding finishes a radius handle drag in progress.
+     * @param {boolean} editRadius
+     * @return {MapboxCircle}
+     * @public
      */
-    _getCircleRadiusHandlesLayer() {
-        return {
-            id: this._circleRadiusHandlesId,
-            type: 'circle',
-            source: this._circleRadiusHandlesSourceId,
-            paint: this._getEditHandleDefaultPaintOptions(),
-            filter: ['==', '$type', 'Point']
-        };
+    setEditRadius(editRadius) {
+        editRadius = !!editRadius;
+        if (editRadius === this.options.editRadius) {
+            return this;
+        }
+
+        this.options.editRadius = editRadius;
+        if (this.map && this.options.editable && editRadius) {
+            this._updateCircle(); // Calculate handle positions.
+            this._addRadiusHandles(this.map);
+        } else if (this.map && this.options.editable) {
+            this._finishRadiusDrag();
+            this._removeRadiusHandles();
+        }
+
+        this._eventEmitter.emit('editablechanged', this);
+        return this;
     }
 
     /**
-     * @return {string} Current cursor style
-     * @private
+     * @return {boolean} `true` if the circle is selected, see {@link MapboxCircle.setSelection}
+     * @public
      */
-    _getCursorStyle() {
-        return this.map.getCanvas().style.cursor;
+    isSelected() {
+        return MapboxCircle.__MONOSTATE.selection.indexOf(this) > -1;
     }
 
     /**
-     * Subscribe to circle event.
-     * @param {string} event Event name; `click`, `contextmenu`, `centerchanged` or `radiuschanged`
-     * @param {Function} fn Event handler, invoked with the target circle as first argument on
-     *     *'centerchanged'* and *'radiuschanged'*, or a *MapMouseEvent* on *'click'* and *'contextmenu'* events
-     * @param {?boolean} [onlyOnce=false] Remove handler after first call
+     * Enable or disable center/radius edit handles, also on a circle that is already rendered. Disabling finishes a
+     * handle drag in progress, firing its drag end and change events.
+     * @param {boolean} editable
      * @return {MapboxCircle}
      * @public
      */
-    on(event, fn, onlyOnce) {
-        if (onlyOnce) {
-            this._eventEmitter.once(event, fn);
+    setEditable(editable) {
+        editable = !!editable;
+        if (editable === this.options.editable) {
+            return this;
+        }
+
+        if (this.map && editable) {
+            this.options.editable = true;
+            this._updateCircle(); // Calculate handle positions.
+            this._addEditHandles(this.map);
+        } else if (this.map) {
+            this._removeEditHandles();
+            this.options.editable = false;
         } else {
-            this._eventEmitter.addListener(event, fn);
+            this.options.editable = editable;
         }
+
+        this._eventEmitter.emit('editablechanged', this);
         return this;
     }
 
     /**
-     * Alias for registering event listener with *onlyOnce=true*, see {@link #on}.
-     * @param {string} event Event name
-     * @param {Function} fn Event handler
+     * Start animating the circle on the map, until {@link #stopAnimation}. Both animation types render through the
+     * circle's own source and layers without changing its radius, and pause while the circle is off screen or the
+     * document is hidden.
+     * @param {?Object} animation Animation options, replacing `options.animation` if given
+     * @param {string} animation.type `'pulse'` (oscillating fill opacity) or `'ripple'` (circular rings expanding from
+     *     the circle edge and fading out)
+     * @param {?number} [animation.period=1500] Duration of one pulse or ring expansion, in milliseconds
+     * @param {?number} [animation.minOpacity=0] Lowest fill opacity of a pulse
+     * @param {?number} [animation.rings=3] Number of ripple rings
+     * @param {?number} [animation.scale=1.5] Radius of fully expanded ripple rings, relative to the circle radius
      * @return {MapboxCircle}
      * @public
      */
-    once(event, fn) {
-        return this.on(event, fn, true);
+    startAnimation(animation) {
+        if (this._collection) {
+            throw new TypeError('MapboxCircle in a collection can not be animated.');
+        }
+        animation = animation || this.options.animation;
+        if (!animation || ['pulse', 'ripple'].indexOf(animation.type) === -1) {
+            throw new TypeError('MapboxCircle animation type must be \'pulse\' or \'ripple\'.');
+        }
+        this.options.animation = _.extend({period: 1500, minOpacity: 0, rings: 3, scale: 1.5}, animation);
+
+        if (this.map) {
+            this._haltAnimation(); // Restart with new options.
+            this._runAnimation();
+        }
+        this._animationActive = true;
+        return this;
     }
 
     /**
-     * Unsubscribe to circle event.
-     * @param {string} event Event name
-     * @param {Function} fn Handler to be removed
+     * Stop animating the circle, see {@link #startAnimation}.
      * @return {MapboxCircle}
      * @public
      */
-    off(event, fn) {
-        this._eventEmitter.removeListener(event, fn);
+    stopAnimation() {
+        if (this.map) {
+            this._haltAnimation();
+        }
+        this._animationActive = false;
         return this;
     }
 
     /**
-     * @param {mapboxgl.Map} map Target map for adding and initializing circle Mapbox GL layers/data/listeners.
-     * @param {?string} [before='waterway-label'] Layer ID to insert the circle layers before; explicitly pass `null` to
-     *     get the circle assets appended at the end of map-layers array
+     * Update circle style options, applying them to the circle on the map right away.
+     * @param {Object} options
+     * @param {?string} [options.strokeColor] Stroke color
+     * @param {?number} [options.strokeWeight] Stroke weight
+     * @param {?number} [options.strokeOpacity] Stroke opacity
+     * @param {?string} [options.fillColor] Fill color
+     * @param {?number} [options.fillOpacity] Fill opacity
      * @return {MapboxCircle}
      * @public
      */
-    addTo(map, before) {
-        if (typeof before === 'undefined' && map.getLayer('waterway-label')) {
-            before = 'waterway-label';
+    setOptions(options) {
+        _.extend(this.options, _.pick(options, [
+            'strokeColor', 'strokeWeight', 'strokeOpacity', 'fillColor', 'fillOpacity'
+        ]));
+        if (this.map) {
+            this._updatePaintProperties();
         }
-        const addCircleAssetsOnMap = () => {
-            map.addSource(this._circleSourceId, this._getCircleMapSource());
-
-            map.addLayer(this._getCircleStrokeLayer(), before);
-            map.addLayer(this._getCircleFillLayer(), before);
-            this._bindCircleFillListeners(map);
-            map.on('zoomend', this._onZoomEnd);
-
-            if (this.options.editable) {
-                map.addSource(this._circleCenterHandleSourceId, this._getCenterHandleMapSource());
-                map.addSource(this._circleRadiusHandlesSourceId, this._getRadiusHandlesMapSource());
-
-                map.addLayer(this._getCircleCenterHandleLayer());
-                this._bindCenterHandleListeners(map);
+        return this;
+    }
 
-                map.addLayer(this._getCircleRadiusHandlesLayer());
-                this._bindRadiusHandlesListeners(map);
+    /**
+     * @param {string} fillColor
+     * @return {MapboxCircle}
+     * @public
+     */
+    setFillColor(fillColor) {
+        return this.setOptions({fillColor: fillColor});
+    }
 
-                this.on('centerchanged', this._onCenterChanged).on('radiuschanged', this._onRadiusChanged);
+    /**
+     * @param {number} fillOpacity
+     * @return {MapboxCircle}
+     * @public
+     */
+    setFillOpacity(fillOpacity) {
+        return this.setOptions({fillOpacity: fillOpacity});
+    }
 
-                MapboxCircle._addActiveEditableCircle(this);
-                this._bindBroadcastListeners();
-            }
+    /**
+     * @param {string} strokeColor
+     * @return {MapboxCircle}
+     * @public
+     */
+    setStrokeColor(strokeColor) {
+        return this.setOptions({strokeColor: strokeColor});
+    }
 
-            map.on('styledataloading', this._onMapStyleDataLoading);
+    /**
+     * @param {number} strokeOpacity
+     * @return {MapboxCircle}
+     * @public
+     */
+    setStrokeOpacity(strokeOpacity) {
+        return this.setOptions({strokeOpacity: strokeOpacity});
+    }
 
-            const target = map.getContainer();
-            this.observer = new MutationObserver((mutations) => {
-                mutations.forEach((mutation) => {
-                    const removedNodes = Array.from(mutation.removedNodes);
-                    const directMatch = removedNodes.indexOf(target) > -1;
-                    const parentMatch = removedNodes.some((parent) => parent.contains(target));
-                    if (directMatch || parentMatch) {
-                        this.remove();
-                    }
-                });
-            });
+    /**
+     * @param {number} strokeWeight
+     * @return {MapboxCircle}
+     * @public
+     */
+    setStrokeWeight(strokeWeight) {
+        return this.setOptions({strokeWeight: strokeWeight});
+    }
 
-            let config = {
-                subtree: true,
-                childList: true
-            };
-            this.observer.observe(document.body, config);
-            this.map = map;
-            this.zoom = map.getZoom();
-            this._eventEmitter.emit('rendered', this);
-        };
+    /**
+     * Return the circle polygon as GeoJSON, with `center` (as `[lng, lat]`), `radius`, `innerRadius` (for an annulus),
+     * `startBearing`/`endBearing` (for a sector), `semiMinor`/`rotation` (for an ellipse) and `units` added to its
+     * properties so that it can be restored with {@link #fromGeoJSON}.
+     * @return {Feature<Polygon>}
+     * @public
+     */
+    toGeoJSON() {
+        const properties = _.extend({}, this.options.properties, {
+            center: [this.center[0], this.center[1]],
+            radius: this.radius,
+            units: this.options.units
+        }, this.innerRadius > 0 ? {innerRadius: this.innerRadius} : {}, this.getSector(),
+            this._isEllipse() ? {semiMinor: this.semiMinor, rotation: this.rotation} : {});
+        return turfHelpers.feature(_.cloneDeep(this._circle.geometry), properties);
+    }
 
-        // noinspection JSUnresolvedVariable
-        if (map._loaded) {
-            if (map.isStyleLoaded()) {
-                addCircleAssetsOnMap();
-            } else {
-                map.once('render', addCircleAssetsOnMap);
-            }
+    /**
+     * Bounds are compatible with `mapboxgl.Map#fitBounds`: the southwestern longitude is within `[-180, 180]`, and
+     * the northeastern one is east of it, i.e. greater than 180 for circles crossing the antimeridian. Circles
+     * (or sectors) containing a pole span all longitudes, up to the inner ring if the pole is in the hole of an
+     * annulus. Latitudes are clamped to the limits of the Web Mercator projection.
+     * @return {{sw: {lat: number, lng: number}, ne: {lat: number, lng: number}}} Southwestern/northeastern bounds
+     * @public
+     */
+    getBounds() {
+        const ring = this._circleOutline.geometry.coordinates;
+        // Polygon rings around a pole are closed along it, see _closeRing().
+        const getPole = (polygonRing) => Math.sign(_.get(_.find(polygonRing, (c) => Math.abs(c[1]) === 90), 1, 0));
+        const polygonRings = this._circle.geometry.coordinates;
+        const pole = getPole(polygonRings[0]);
+        const innerPole = polygonRings.length > 1 ? getPole(polygonRings[1]) : 0;
+        let south = _.min(ring.map((coordinate) => coordinate[1]));
+        let north = _.max(ring.map((coordinate) => coordinate[1]));
+        let west = -180;
+        let east = 180;
+
+        const innerLatitudes = innerPole !== 0 ? this._circleInnerOutline.geometry.coordinates.map((c) => c[1]) : [];
+
+        if (pole === 1) {
+            north = innerPole === 1 ? _.max(innerLatitudes) : 90;
+        } else if (pole === -1) {
+            south = innerPole === -1 ? _.min(innerLatitudes) : -90;
         } else {
-            map.once('load', addCircleAssetsOnMap);
+            west = _.min(ring.map((coordinate) => coordinate[0]));
+            east = _.max(ring.map((coordinate) => coordinate[0]));
+            const shift = MapboxCircle._wrapLongitude(west) - west;
+            west += shift;
+            east += shift;
         }
 
-        return this;
+        const clampLatitude = (lat) => Math.min(Math.max(lat, -MERCATOR_MAX_LATITUDE), MERCATOR_MAX_LATITUDE);
+        return {
+            sw: {lat: turfHelpers.round(clampLatitude(south), 6), lng: turfHelpers.round(west, 6)},
+            ne: {lat: turfHelpers.round(clampLatitude(north), 6), lng: turfHelpers.round(east, 6)}
+        };
     }
 
     /**
-     * Remove source data, layers and listeners from map.
-     * @return {MapboxCircle}
+     * Return signed great-circle distance from the circle edge (or the inner edge of an annulus, or the straight
+     * edges of a sector); negative inside the circle. For an ellipse, the distance is measured from the edge along
+     * the bearing from the center.
+     * @param {({lat: number, lng: number}|[number,number]|Feature<Point>)} lngLat
+     * @param {?string} [units=options.units] Unit to return distance in, e.g. `'miles'`
+     * @return {number}
      * @public
      */
-    remove() {
-        this.map.off('styledataloading', this._onMapStyleDataLoading);
-
-        this.observer.disconnect();
-
-        if (this.options.editable) {
-            this._unbindBroadcastListeners();
-            MapboxCircle._removeActiveEditableCircle(this);
+    distanceTo(lngLat, units) {
+        const point = MapboxCircle._toLngLatArray(lngLat);
+        const centerDistance = turfDistance(this.center, point, 'meters');
+        const radius = this._getOuterRadiusInMeters(turfBearing(this.center, point));
+        let distance = Math.max(centerDistance - radius,
+            this.innerRadius > 0 ? this._innerRadiusInMeters - centerDistance : -Infinity);
+        if (this._sector) {
+            const edgeDistance = this._getDistanceToSectorEdges(point);
+            distance = this._isBearingInSector(turfBearing(this.center, point)) ?
+                Math.max(distance, -edgeDistance) : edgeDistance;
+        }
+        return turfHelpers.convertDistance(Math.abs(distance), 'meters', units || this.options.units) *
+            Math.sign(distance);
+    }
 
-            this.off('radiuschanged', this._onRadiusChanged).off('centerchanged', this._onCenterChanged);
+    /**
+     * @param {({lat: number, lng: number}|[number,number]|Feature<Point>)} lngLat
+     * @return {boolean} `true` if the point is inside, or on the edge of, the circle (and not in the hole of an
+     *     annulus, nor outside a sector)
+     * @public
+     */
+    containsPoint(lngLat) {
+        const point = MapboxCircle._toLngLatArray(lngLat);
+        const distance = turfDistance(this.center, point, 'meters');
+        const bearing = turfBearing(this.center, point);
+        return distance <= this._getOuterRadiusInMeters(bearing) && distance >= this._innerRadiusInMeters &&
+            (distance === 0 || this._isBearingInSector(bearing));
+    }
 
-            this._unbindRadiusHandlesListeners();
-            if (this.map.getLayer(this._circleRadiusHandlesId)) {
-                this.map.removeLayer(this._circleRadiusHandlesId);
-            }
+    /**
+     * Test if the circle overlaps another circle, or any part of a GeoJSON object. GeoJSON line and polygon edges are
+     * treated as great-circle segments. Anything entirely within the hole of an annulus, or outside a sector, does not
+     * intersect it. Other ellipses and sectors (and other circles, if this circle is an ellipse) are tested by their
+     * polygon.
+     * @param {(MapboxCircle|FeatureCollection|Feature|Geometry)} other
+     * @return {boolean}
+     * @public
+     */
+    intersects(other) {
+        const radius = this._radiusInMeters;
+        const innerRadius = this._innerRadiusInMeters;
+        if (other instanceof MapboxCircle && (this._isEllipse() || other._isEllipse() || other._sector)) {
+            return this.intersects(other._circle);
+        }
+        if (other instanceof MapboxCircle) {
+            const distance = turfDistance(this.center, other.center, 'meters');
+            return distance <= radius + other._radiusInMeters &&
+                distance + other._radiusInMeters >= innerRadius && // Not within the hole of this circle...
+                distance + radius >= other._innerRadiusInMeters && // ...nor this circle within the hole of the other.
+                (!this._sector || this._isBearingInSector(turfBearing(this.center, other.center)) ||
+                    this._getDistanceToSectorEdges(other.center) <= other._radiusInMeters);
+        }
 
-            this._unbindCenterHandleListeners();
-            if (this.map.getLayer(this._circleCenterHandleId)) {
-                this.map.removeLayer(this._circleCenterHandleId);
+        const isNearEdge = (start, end) => {
+            if (this._isEllipse()) {
+                const closest = this._getClosestEllipseSegmentFraction(start, end);
+                return this._getEdgeRatio(MapboxCircle._interpolateSegment(start, end, closest)) <= 1;
             }
-
-            if (this.map.getSource(this._circleRadiusHandlesSourceId)) {
-                this.map.removeSource(this._circleRadiusHandlesSourceId);
+            return MapboxCircle._getDistanceToSegment(this.center, start, end) <= radius;
+        };
+        const isNearSegment = (start, end) => {
+            if (this._sector) {
+                return this._clipSegment(start, end).length > 0;
             }
-
-            if (this.map.getSource(this._circleCenterHandleSourceId)) {
-                this.map.removeSource(this._circleCenterHandleSourceId);
+            return isNearEdge(start, end) &&
+                Math.max(turfDistance(this.center, start, 'meters'), turfDistance(this.center, end, 'meters')) >=
+                innerRadius;
+        };
+        const isNearLine = (line) => line.length === 1 ? this.containsPoint(line[0]) : _.some(line, (end, i) => {
+            return i > 0 && isNearSegment(line[i - 1], end);
+        });
+        return _.some(MapboxCircle._getSimpleGeometries(other), (geometry) => {
+            switch (geometry.type) {
+                case 'Point':
+                    return this.containsPoint(geometry.coordinates);
+                case 'LineString':
+                    return isNearLine(geometry.coordinates);
+                default: // Polygon; if no edge reaches into the circle, either contains all of the other.
+                    return _.some(geometry.coordinates, isNearLine) ||
+                        MapboxCircle._isPointInPolygon(this._getInteriorPoint(), geometry.coordinates);
             }
-        }
+        });
+    }
 
-        this.map.off('zoomend', this._onZoomEnd);
-        this._unbindCircleFillListeners();
-        if (this.map.getLayer(this._circleFillId)) {
-            this.map.removeLayer(this._circleFillId);
-        }
-        if (this.map.getLayer(this._circleStrokeId)) {
-            this.map.removeLayer(this._circleStrokeId);
+    /**
+     * Test if another circle, or all of a GeoJSON object, is inside the circle. GeoJSON line and polygon edges are
+     * treated as great-circle segments, which must not leave the circle, reach into the hole of an annulus nor cross
+     * the straight edges of a sector. Other ellipses and sectors (and other circles, if this circle is an ellipse) are
+     * tested by their polygon.
+     * @param {(MapboxCircle|FeatureCollection|Feature|Geometry)} other
+     * @return {boolean}
+     * @public
+     */
+    contains(other) {
+        const radius = this._radiusInMeters;
+        const innerRadius = this._innerRadiusInMeters;
+        if (other instanceof MapboxCircle && (this._isEllipse() || other._isEllipse() || other._sector)) {
+            return this.contains(other._circle);
         }
-
-        if (this.map.getSource(this._circleSourceId)) {
-            this.map.removeSource(this._circleSourceId);
+        if (other instanceof MapboxCircle) {
+            const distance = turfDistance(this.center, other.center, 'meters');
+            return distance + other._radiusInMeters <= radius &&
+                (innerRadius === 0 || distance - other._radiusInMeters >= innerRadius) &&
+                (!this._sector || this._isBearingInSector(turfBearing(this.center, other.center)) &&
+                    this._getDistanceToSectorEdges(other.center) >= other._radiusInMeters);
         }
 
-        this.map = null;
-
-        return this;
+        const isSegmentInside = (start, end) => {
+            const intervals = this._clipSegment(start, end);
+            return intervals.length === 1 && intervals[0][0] === 0 && intervals[0][1] === 1;
+        };
+        const isLineInside = (line) => {
+            return line.length === 1 ? this.containsPoint(line[0]) : _.every(line.slice(1), (end, i) => {
+                return isSegmentInside(line[i], end);
+            });
+        };
+        return _.every(MapboxCircle._getSimpleGeometries(other), (geometry) => {
+            switch (geometry.type) {
+                case 'Point':
+                    return this.containsPoint(geometry.coordinates);
+                case 'LineString':
+                    return isLineInside(geometry.coordinates);
+                default: // Polygon; holes are inside the outer ring, which must not surround the hole of an annulus.
+                    return isLineInside(geometry.coordinates[0]) && (innerRadius === 0 ||
+                        !MapboxCircle._isPointInPolygon(this.center, geometry.coordinates));
+            }
+        });
     }
 
     /**
-     * @return {{lat: number, lng: number}} Circle center position
+     * Track a position, firing `enter` when it gets inside the circle (right away, if it already is), `exit` when it
+     * leaves again and `dwell` when it stays inside for `options.trackDwellTime`. Positions are re-tested with
+     * {@link #distanceTo} when they move (by calling `track` again with the same ID, or by moving a marker, checked
+     * on every animation frame) and after center/radius changes. Exiting takes `options.trackHysteresis` beyond the
+     * edge, so that positions wandering along the edge don't keep entering and exiting. {@link #remove} stops
+     * tracking all positions.
+     * @param {(string|number)} id Position ID, passed to event handlers as `{id, lngLat}`
+     * @param {({lat: number, lng: number}|[number,number]|mapboxgl.Marker)} position Position, or a marker to read
+     *     the position from
+     * @return {MapboxCircle}
      * @public
      */
-    getCenter() {
-        return {lat: this.center[1], lng: this.center[0]};
+    track(id, position) {
+        const tracked = this._tracked[id] || {id: id, inside: false, dwellTimeout: undefined};
+        this._tracked[id] = tracked;
+        const marker = typeof position.getLngLat === 'function' ? position : undefined;
+        tracked.marker = marker;
+        tracked.lngLat = marker ? marker.getLngLat().toArray() : MapboxCircle._toLngLatArray(position);
+        this._updateTracked(tracked);
+        if (marker && this._trackedMarkersFrame === undefined) {
+            this._trackedMarkersFrame = requestAnimationFrame(this._pollTrackedMarkers);
+        }
+        return this;
     }
 
     /**
-     * @param {{lat: number, lng: number}} position
+     * Stop tracking a position, see {@link #track}. No `exit` event is fired.
+     * @param {(string|number)} id Position ID
      * @return {MapboxCircle}
      * @public
      */
-    setCenter(position) {
-        const applyUpdate = () => {
-            this.center = [position.lng, position.lat];
-            if (this.center[0] !== this._lastCenterLngLat[0] && this.center[1] !== this._lastCenterLngLat[1]) {
-                this._eventEmitter.emit('centerchanged', this);
-            }
-        };
-
-        if (this.map) {
-            applyUpdate();
-        } else {
-            this.on('rendered', applyUpdate, true);
+    untrack(id) {
+        const tracked = this._tracked[id];
+        if (tracked) {
+            clearTimeout(tracked.dwellTimeout);
+            delete this._tracked[id];
         }
-
         return this;
     }
 
     /**
-     * @return {number} Current radius, in meters
+     * @return {Array<(string|number)>} IDs of tracked positions currently inside the circle
      * @public
      */
-    getRadius() {
-        return this.radius;
+    getTrackedInside() {
+        return _.filter(this._tracked, 'inside').map((tracked) => tracked.id);
     }
 
     /**
-     * @param {number} newRadius Meter radius
-     * @return {MapboxCircle}
+     * Query rendered features inside the circle: points inside it, lines clipped to it and polygons intersecting it.
+     * Features are prefiltered to the circle bounds on screen, then tested against the exact circle (or annulus,
+     * ellipse or sector).
+     * @param {?Object} parameters
+     * @param {?Array<string>} [parameters.layers] Style layer IDs to query, defaults to all layers
+     * @param {?Array} [parameters.filter] Mapbox GL filter expression
+     * @return {Array<Feature>}
      * @public
      */
-    setRadius(newRadius) {
-        newRadius = Math.round(newRadius);
-        const applyUpdate = () => {
-            this.radius = newRadius;
-            if (this._lastRadius !== newRadius && this.radius === newRadius) { // `this.radius =` subject to min/max lim
-                this._eventEmitter.emit('radiuschanged', this);
-            }
-        };
-
-        if (this.map) {
-            applyUpdate();
-        } else {
-            this.on('rendered', applyUpdate, true);
-        }
-
-        return this;
+    queryRenderedFeatures(parameters) {
+        const map = this._getQueryMap();
+        const box = this._getPixelBounds(map);
+        const ownSources = [this._circleSourceId, this._circleCenterHandleSourceId, this._circleRadiusHandlesSourceId];
+
+        return map.queryRenderedFeatures(box, _.pick(parameters, ['layers', 'filter']))
+            .filter((feature) => ownSources.indexOf(feature.source) === -1)
+            .map((feature) => this._clipFeature(feature))
+            .filter((feature) => feature);
     }
 
     /**
-     * @return {{sw: {lat: number, lng: number}, ne: {lat: number, lng: number}}} Southwestern/northeastern bounds
+     * Query source features inside the circle, like {@link #queryRenderedFeatures}. Features split across tiles may
+     * be returned more than once (see `mapboxgl.Map#querySourceFeatures`).
+     * @param {string} sourceId Source ID
+     * @param {?Object} parameters
+     * @param {?string} [parameters.sourceLayer] Source layer, for vector tile sources
+     * @param {?Array} [parameters.filter] Mapbox GL filter expression
+     * @return {Array<Feature>}
      * @public
      */
-    getBounds() {
-        const bboxPolyCoordinates = turfTruncate(turfBboxPoly(turfBbox(this._circle)), 6).geometry.coordinates[0];
-        return {
-            sw: {lat: bboxPolyCoordinates[0][1], lng: bboxPolyCoordinates[0][0]},
-            ne: {lat: bboxPolyCoordinates[2][1], lng: bboxPolyCoordinates[2][0]}
-        };
+    querySourceFeatures(sourceId, parameters) {
+        return this._getQueryMap().querySourceFeatures(sourceId, _.pick(parameters, ['sourceLayer', 'filter']))
+            .map((feature) => this._clipFeature(feature))
+            .filter((feature) => feature);
     }
 }
 
 MapboxCircle.__MONOSTATE = {
     instanceIdCounter: 0,
+    lastChangedCircle: null,
     activeEditableCircles: [],
+    selection: [],
     broadcast: new EventEmitter()
 };
 
+/**
+ * @type {MapboxCircleCollection} Shared-source circle collection class, see {@link MapboxCircleCollection}.
+ */
+MapboxCircle.Collection = MapboxCircleCollection;
+
 module.exports = exports = MapboxCircle;